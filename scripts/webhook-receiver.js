@@ -0,0 +1,42 @@
+/**
+ * Local stand-in for a webhook subscriber. Logs each delivery and whether its
+ * signature verifies against WEBHOOK_SECRET.
+ *
+ * Usage: WEBHOOK_SECRET=... npm run webhook:receiver
+ * Set WEBHOOK_RECEIVER_FAIL=true to answer 500 and exercise retries/dead-lettering.
+ */
+const http = require('http');
+const { verifySignature } = require('../src/utils/webhookSignature');
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const FAIL = process.env.WEBHOOK_RECEIVER_FAIL === 'true';
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const valid = verifySignature(
+      SECRET,
+      req.headers['x-webhook-timestamp'],
+      body,
+      req.headers['x-webhook-signature']
+    );
+    
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    console.log(`  event: ${req.headers['x-webhook-event']}  delivery: ${req.headers['x-webhook-delivery']}  signature: ${valid ? 'valid' : 'INVALID'}`);
+    console.log(`  ${body}`);
+    
+    if (FAIL || !valid) {
+      res.writeHead(FAIL ? 500 : 401);
+      return res.end();
+    }
+    
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
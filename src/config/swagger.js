@@ -1,4 +1,15 @@
 const swaggerJsdoc = require('swagger-jsdoc');
+const { ERROR_CODES } = require('../utils/errors');
+
+const problemResponse = (description, example) => ({
+  description,
+  content: {
+    'application/problem+json': {
+      schema: { $ref: '#/components/schemas/Problem' },
+      example
+    }
+  }
+});
 
 const options = {
   definition: {
@@ -22,11 +33,205 @@ const options = {
         description: 'Production server'
       }
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Token from POST /api/auth/login. Roles: ADMIN manages doctors and all data, DOCTOR manages their own slots, PATIENT manages their own bookings.'
+        }
+      },
+      // Cursor pagination on list endpoints: pass a page's next_cursor back
+      // (with the same sort and order) to fetch the following page
+      parameters: {
+        PageLimit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+          description: 'Page size'
+        },
+        PageCursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'Opaque `next_cursor` from the previous page; only valid with the sort and order it was issued for'
+        },
+        PageOrder: {
+          in: 'query',
+          name: 'order',
+          schema: { type: 'string', enum: ['asc', 'desc'] },
+          description: 'Sort direction (each sort has its own default)'
+        },
+        IncludeTotal: {
+          in: 'query',
+          name: 'include_total',
+          schema: { type: 'boolean', default: false },
+          description: 'Also count every matching row as `total` (an extra query)'
+        },
+        // Safe retries: the first response to a key is replayed to later requests with it
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Unique per operation (e.g. a UUID). Retries with the same key get the stored response with `Idempotent-Replayed: true` instead of running again, for IDEMPOTENCY_TTL_HOURS.'
+        },
+        // Optimistic concurrency: the change only applies to the version the client read
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string' },
+          example: '"3"',
+          description: 'ETag from the last GET. The change is refused with 412 if the resource has been modified since; omit it to overwrite unconditionally.'
+        }
+      },
+      schemas: {
+        Page: {
+          type: 'object',
+          description: 'Envelope of a paginated list',
+          properties: {
+            success: { type: 'boolean' },
+            count: { type: 'integer', description: 'Rows in this page' },
+            total: { type: 'integer', description: 'Rows matching the filters, when counted' },
+            next_cursor: { type: 'string', nullable: true, description: 'Cursor for the next page; null on the last page' },
+            data: { type: 'array', items: { type: 'object' } }
+          }
+        },
+        // Errors raised by the domain (and database conflicts) are RFC 7807 problem details
+        Problem: {
+          type: 'object',
+          description: 'RFC 7807 problem details, sent as `application/problem+json`',
+          properties: {
+            type: { type: 'string', description: 'URI reference naming the problem type', example: '/problems/slot-unavailable' },
+            title: { type: 'string', description: 'HTTP status text', example: 'Conflict' },
+            status: { type: 'integer', example: 409 },
+            detail: { type: 'string', description: 'Human-readable explanation of this occurrence', example: 'Slot is no longer available' },
+            instance: { type: 'string', description: 'The request path', example: '/api/bookings' },
+            code: {
+              type: 'string',
+              enum: Object.keys(ERROR_CODES),
+              description: 'Stable machine-readable code - branch on this, not on `detail`:\n\n' +
+                Object.entries(ERROR_CODES).map(([code, meaning]) => `- \`${code}\`: ${meaning}`).join('\n')
+            },
+            request_id: { type: 'string', description: 'The request\'s X-Request-Id' },
+            details: {
+              type: 'array',
+              description: 'The failed fields (`VALIDATION_ERROR` only)',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string', example: 'slot_id' },
+                  location: { type: 'string', example: 'body' },
+                  msg: { type: 'string', example: 'Valid slot ID is required' }
+                }
+              }
+            },
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', description: 'Same as `detail` (kept for older clients)' }
+          }
+        }
+      },
+      responses: {
+        NotFound: problemResponse('The resource, or one the request refers to, does not exist', {
+          type: '/problems/booking-not-found',
+          title: 'Not Found',
+          status: 404,
+          detail: 'Booking not found',
+          instance: '/api/bookings/42/cancel',
+          code: 'BOOKING_NOT_FOUND',
+          success: false,
+          error: 'Booking not found'
+        }),
+        Conflict: problemResponse('The request conflicts with the current state or a concurrent request', {
+          type: '/problems/slot-unavailable',
+          title: 'Conflict',
+          status: 409,
+          detail: 'Slot is no longer available',
+          instance: '/api/bookings',
+          code: 'SLOT_UNAVAILABLE',
+          success: false,
+          error: 'Slot is no longer available'
+        }),
+        BusinessRuleViolation: problemResponse('The request is well-formed but breaks a business rule', {
+          type: '/problems/slot-in-past',
+          title: 'Unprocessable Entity',
+          status: 422,
+          detail: 'Cannot book past appointments',
+          instance: '/api/bookings',
+          code: 'SLOT_IN_PAST',
+          success: false,
+          error: 'Cannot book past appointments'
+        }),
+        PreconditionFailed: problemResponse('If-Match does not match the current ETag - fetch the resource again and reapply the change', {
+          type: '/problems/precondition-failed',
+          title: 'Precondition Failed',
+          status: 412,
+          detail: 'Booking has been modified since it was read - If-Match does not match its current ETag "4"',
+          instance: '/api/bookings/42/cancel',
+          code: 'PRECONDITION_FAILED',
+          success: false,
+          error: 'Booking has been modified since it was read - If-Match does not match its current ETag "4"'
+        }),
+        InvalidCursor: problemResponse('Validation error, or a cursor that does not match the sort and order (`INVALID_CURSOR`)', {
+          type: '/problems/invalid-cursor',
+          title: 'Bad Request',
+          status: 400,
+          detail: 'Invalid cursor for this sort order',
+          instance: '/api/bookings?cursor=abc',
+          code: 'INVALID_CURSOR',
+          success: false,
+          error: 'Invalid cursor for this sort order'
+        }),
+        Unauthorized: problemResponse('Missing, invalid or expired token (`AUTHENTICATION_REQUIRED`, `INVALID_TOKEN`, `TOKEN_EXPIRED`)', {
+          type: '/problems/authentication-required',
+          title: 'Unauthorized',
+          status: 401,
+          detail: 'Authentication required',
+          instance: '/api/bookings',
+          code: 'AUTHENTICATION_REQUIRED',
+          success: false,
+          error: 'Authentication required'
+        }),
+        Forbidden: problemResponse('Authenticated user lacks the required role or ownership', {
+          type: '/problems/forbidden',
+          title: 'Forbidden',
+          status: 403,
+          detail: 'Insufficient permissions',
+          instance: '/api/slots/41',
+          code: 'FORBIDDEN',
+          success: false,
+          error: 'Insufficient permissions'
+        }),
+        SlotOverlap: problemResponse('The slot would overlap existing slots for the doctor', {
+          type: '/problems/slot-overlap',
+          title: 'Conflict',
+          status: 409,
+          detail: 'Overlaps existing slots for this doctor: 41, 42',
+          instance: '/api/slots',
+          code: 'SLOT_OVERLAP',
+          conflicting_slot_ids: [41, 42],
+          success: false,
+          error: 'Overlaps existing slots for this doctor: 41, 42'
+        })
+      }
+    },
+    // Every endpoint requires a token unless it overrides this with `security: []`
+    security: [
+      { bearerAuth: [] }
+    ],
     tags: [
+      {
+        name: 'Auth',
+        description: 'Login, registration and user accounts'
+      },
       {
         name: 'Doctors',
         description: 'Doctor management endpoints'
       },
+      {
+        name: 'Specializations',
+        description: 'Managed specialization taxonomy with codes and synonyms'
+      },
       {
         name: 'Slots',
         description: 'Appointment slot management'
@@ -34,6 +239,34 @@ const options = {
       {
         name: 'Bookings',
         description: 'Booking management with concurrency control'
+      },
+      {
+        name: 'Availability',
+        description: 'Recurring weekly availability templates'
+      },
+      {
+        name: 'Patients',
+        description: 'Patient accounts and booking history'
+      },
+      {
+        name: 'Locations',
+        description: 'Clinic locations, opening hours and nearest-location search'
+      },
+      {
+        name: 'Holidays',
+        description: 'Clinic-wide and per-location closures that block slots'
+      },
+      {
+        name: 'Waitlist',
+        description: 'Waitlist with automatic slot offers on cancellation'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Signed webhook subscriptions for booking events (admin only)'
+      },
+      {
+        name: 'Audit',
+        description: 'Append-only history of booking, slot and doctor changes (admin only)'
       }
     ]
   },
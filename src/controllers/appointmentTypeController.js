@@ -0,0 +1,120 @@
+const pool = require('../config/database');
+const { canManageDoctor, forbidden } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
+
+class AppointmentTypeController {
+  async createType(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name, duration_minutes, description } = req.body;
+      
+      if (!canManageDoctor(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const result = await pool.query(
+        `INSERT INTO appointment_types (doctor_id, name, duration_minutes, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [id, name, duration_minutes, description]
+      );
+      
+      res.status(201).json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Active types a doctor offers (?include_inactive=true for all of them)
+   */
+  async getTypes(req, res, next) {
+    try {
+      const { id } = req.params;
+      const includeInactive = req.query.include_inactive === 'true';
+      
+      const result = await pool.query(
+        `SELECT * FROM appointment_types
+         WHERE doctor_id = $1
+         AND ($2 OR is_active = TRUE)
+         ORDER BY duration_minutes, name`,
+        [id, includeInactive]
+      );
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Existing bookings keep the duration they were booked with
+   */
+  async updateType(req, res, next) {
+    try {
+      const { id, typeId } = req.params;
+      const { name, duration_minutes, description, is_active } = req.body;
+      
+      if (!canManageDoctor(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const result = await pool.query(
+        `UPDATE appointment_types
+         SET name = COALESCE($1, name),
+             duration_minutes = COALESCE($2, duration_minutes),
+             description = COALESCE($3, description),
+             is_active = COALESCE($4, is_active)
+         WHERE id = $5 AND doctor_id = $6
+         RETURNING *`,
+        [name, duration_minutes, description, is_active, typeId, id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('APPOINTMENT_TYPE_NOT_FOUND', 'Appointment type not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deleteType(req, res, next) {
+    try {
+      const { id, typeId } = req.params;
+      
+      if (!canManageDoctor(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const result = await pool.query(
+        'DELETE FROM appointment_types WHERE id = $1 AND doctor_id = $2 RETURNING id',
+        [typeId, id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('APPOINTMENT_TYPE_NOT_FOUND', 'Appointment type not found');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Appointment type deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AppointmentTypeController();
@@ -0,0 +1,24 @@
+const auditService = require('../services/auditService');
+
+class AuditController {
+  /**
+   * Change history of one booking, slot or doctor, oldest first
+   */
+  async getHistory(req, res, next) {
+    try {
+      const { entity, id } = req.query;
+      
+      const entries = await auditService.getHistory(entity, id);
+      
+      res.json({
+        success: true,
+        count: entries.length,
+        data: entries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuditController();
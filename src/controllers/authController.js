@@ -0,0 +1,144 @@
+const pool = require('../config/database');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { ROLES, signToken } = require('../middleware/auth');
+const { withTransaction } = require('../utils/transaction');
+const { UnauthorizedError, NotFoundError } = require('../utils/errors');
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  doctor_id: user.doctor_id,
+  patient_id: user.patient_id
+});
+
+const registrationAccepted = (res) => res.status(202).json({
+  success: true,
+  message: 'Registration received - sign in with your email and password. If the email was already on file, contact the clinic to access your account'
+});
+
+class AuthController {
+  async login(req, res, next) {
+    try {
+      const { email, password } = req.body;
+      
+      const result = await pool.query(
+        'SELECT * FROM users WHERE LOWER(email) = LOWER($1)',
+        [email]
+      );
+      
+      const user = result.rows[0];
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        throw new UnauthorizedError('INVALID_CREDENTIALS', 'Invalid email or password');
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          token: signToken(user),
+          user: toPublicUser(user)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Self-service sign-up for patients: creates the patient record and its login.
+   * The response is the same whether or not the email is already known, so it
+   * cannot be used to find out who is registered; the patient signs in next.
+   */
+  async register(req, res, next) {
+    try {
+      const { name, email, phone, date_of_birth, password } = req.body;
+      const passwordHash = await hashPassword(password);
+      
+      await withTransaction('register', async (client) => {
+        // Existing patient records (e.g. from front-desk bookings) are claimed by an admin, not by sign-up
+        const existing = await client.query(
+          `SELECT id FROM patients WHERE LOWER(email) = LOWER($1)
+           UNION ALL
+           SELECT id FROM users WHERE LOWER(email) = LOWER($1)`,
+          [email]
+        );
+        
+        if (existing.rows.length > 0) {
+          return;
+        }
+        
+        const patientResult = await client.query(
+          `INSERT INTO patients (name, email, phone, date_of_birth)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+          [name, email, phone, date_of_birth]
+        );
+        
+        await client.query(
+          `INSERT INTO users (email, password_hash, role, patient_id)
+           VALUES ($1, $2, $3, $4)`,
+          [email, passwordHash, ROLES.PATIENT, patientResult.rows[0].id]
+        );
+      });
+      
+      registrationAccepted(res);
+    } catch (error) {
+      // A concurrent sign-up with the same email must look like any other
+      if (error.code === '23505') {
+        return registrationAccepted(res);
+      }
+      next(error);
+    }
+  }
+  
+  async getCurrentUser(req, res, next) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM users WHERE id = $1',
+        [req.user.id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+      }
+      
+      res.json({
+        success: true,
+        data: toPublicUser(result.rows[0])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Admin-only: create a login for any role, linking doctors and patients
+   */
+  async createUser(req, res, next) {
+    try {
+      const { email, password, role, doctor_id, patient_id } = req.body;
+      
+      const result = await pool.query(
+        `INSERT INTO users (email, password_hash, role, doctor_id, patient_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [
+          email,
+          await hashPassword(password),
+          role,
+          role === ROLES.DOCTOR ? doctor_id : null,
+          role === ROLES.PATIENT ? patient_id : null
+        ]
+      );
+      
+      res.status(201).json({
+        success: true,
+        data: toPublicUser(result.rows[0])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,190 @@
+const availabilityService = require('../services/availabilityService');
+const pool = require('../config/database');
+const { ROLES, canManageDoctor, forbidden } = require('../middleware/auth');
+const { withLocalTime } = require('../utils/timezone');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Look up the doctor a template belongs to (undefined when it does not exist)
+ */
+async function findTemplateDoctor(templateId) {
+  const result = await pool.query(
+    'SELECT doctor_id FROM availability_templates WHERE id = $1',
+    [templateId]
+  );
+  return result.rows[0] && result.rows[0].doctor_id;
+}
+
+class AvailabilityController {
+  async createTemplate(req, res, next) {
+    try {
+      const { weeks, ...data } = req.body;
+      
+      if (!canManageDoctor(req.user, data.doctor_id)) {
+        throw forbidden();
+      }
+      
+      const result = await availabilityService.createTemplate(data, weeks);
+      
+      res.status(201).json({
+        success: true,
+        data: result.template,
+        slots_generated: result.generated
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getAllTemplates(req, res, next) {
+    try {
+      // Doctors only ever see their own templates
+      const doctor_id = req.user.role === ROLES.DOCTOR ? req.user.doctor_id : req.query.doctor_id;
+      
+      let query = `
+        SELECT t.*, d.name as doctor_name
+        FROM availability_templates t
+        JOIN doctors d ON t.doctor_id = d.id
+      `;
+      const params = [];
+      
+      if (doctor_id) {
+        query += ' WHERE t.doctor_id = $1';
+        params.push(doctor_id);
+      }
+      
+      query += ' ORDER BY t.doctor_id, t.start_time';
+      
+      const result = await pool.query(query, params);
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getTemplateById(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const result = await pool.query(
+        `SELECT t.*, d.name as doctor_name
+         FROM availability_templates t
+         JOIN doctors d ON t.doctor_id = d.id
+         WHERE t.id = $1`,
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('TEMPLATE_NOT_FOUND', 'Template not found');
+      }
+      
+      if (!canManageDoctor(req.user, result.rows[0].doctor_id)) {
+        throw forbidden();
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async updateTemplate(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { weeks, ...data } = req.body;
+      
+      const doctorId = await findTemplateDoctor(id);
+      if (!doctorId) {
+        throw new NotFoundError('TEMPLATE_NOT_FOUND', 'Template not found');
+      }
+      
+      if (!canManageDoctor(req.user, doctorId)) {
+        throw forbidden();
+      }
+      
+      const result = await availabilityService.updateTemplate(id, data, weeks);
+      
+      if (!result) {
+        throw new NotFoundError('TEMPLATE_NOT_FOUND', 'Template not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.template,
+        slots_removed: result.removed,
+        slots_generated: result.generated
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deleteTemplate(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const doctorId = await findTemplateDoctor(id);
+      if (!doctorId) {
+        throw new NotFoundError('TEMPLATE_NOT_FOUND', 'Template not found');
+      }
+      
+      if (!canManageDoctor(req.user, doctorId)) {
+        throw forbidden();
+      }
+      
+      const result = await availabilityService.deleteTemplate(id);
+      
+      if (!result) {
+        throw new NotFoundError('TEMPLATE_NOT_FOUND', 'Template not found');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Template deleted successfully',
+        slots_removed: result.removed
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async generateSlots(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { weeks } = req.body;
+      
+      const doctorId = await findTemplateDoctor(id);
+      if (!doctorId) {
+        throw new NotFoundError('TEMPLATE_NOT_FOUND', 'Template not found');
+      }
+      
+      if (!canManageDoctor(req.user, doctorId)) {
+        throw forbidden();
+      }
+      
+      const slots = await availabilityService.generateForTemplate(id, weeks);
+      
+      if (!slots) {
+        throw new NotFoundError('TEMPLATE_NOT_FOUND', 'Template not found');
+      }
+      
+      res.status(201).json({
+        success: true,
+        count: slots.length,
+        data: slots.map(withLocalTime)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AvailabilityController();
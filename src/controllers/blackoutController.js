@@ -0,0 +1,131 @@
+const blackoutService = require('../services/blackoutService');
+const auditService = require('../services/auditService');
+const { withLocalTime } = require('../utils/timezone');
+const { canManageDoctor, forbidden } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
+
+const cancelOptions = (req) => ({
+  cancelBookings: req.body.cancel_bookings === true,
+  cancellationReason: req.body.cancellation_reason,
+  audit: auditService.fromRequest(req)
+});
+
+class BlackoutController {
+  /**
+   * Record a doctor's time off, listing (and optionally cancelling) the bookings it overlaps
+   */
+  async createTimeOff(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      if (!canManageDoctor(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const result = await blackoutService.createTimeOff(id, req.body, cancelOptions(req));
+      
+      res.status(201).json({
+        success: true,
+        data: result.blackout,
+        affected_bookings: result.affected_bookings.map(withLocalTime),
+        cancelled: result.cancelled
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getTimeOff(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      if (!canManageDoctor(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const timeOff = await blackoutService.getTimeOff(id);
+      
+      res.json({
+        success: true,
+        count: timeOff.length,
+        data: timeOff
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deleteTimeOff(req, res, next) {
+    try {
+      const { id, timeOffId } = req.params;
+      
+      if (!canManageDoctor(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const deleted = await blackoutService.deleteTimeOff(id, timeOffId);
+      
+      if (!deleted) {
+        throw new NotFoundError('TIME_OFF_NOT_FOUND', 'Time off not found');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Time off deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Add a holiday, listing (and optionally cancelling) the bookings on that day
+   */
+  async createHoliday(req, res, next) {
+    try {
+      const result = await blackoutService.createHoliday(req.body, cancelOptions(req));
+      
+      res.status(201).json({
+        success: true,
+        data: result.blackout,
+        affected_bookings: result.affected_bookings.map(withLocalTime),
+        cancelled: result.cancelled
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getHolidays(req, res, next) {
+    try {
+      const holidays = await blackoutService.getHolidays(req.query);
+      
+      res.json({
+        success: true,
+        count: holidays.length,
+        data: holidays
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deleteHoliday(req, res, next) {
+    try {
+      const deleted = await blackoutService.deleteHoliday(req.params.id);
+      
+      if (!deleted) {
+        throw new NotFoundError('HOLIDAY_NOT_FOUND', 'Holiday not found');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Holiday deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new BlackoutController();
@@ -1,32 +1,82 @@
 const bookingService = require('../services/bookingService');
+const auditService = require('../services/auditService');
 const pool = require('../config/database');
+const { ROLES, canAccessPatient, canAccessBooking, forbidden } = require('../middleware/auth');
+const { withLocalTime } = require('../utils/timezone');
+const { keysetPage, countRows } = require('../utils/pagination');
+const { etagFor } = require('../utils/etag');
+const { NotFoundError } = require('../utils/errors');
+
+// Sorts offered by GET /api/bookings
+const BOOKING_PAGE = {
+  sortKeys: {
+    created_at: { columns: [{ sql: 'b.created_at', type: 'timestamp' }], order: 'desc' },
+    starts_at: { columns: [{ sql: 's.starts_at', type: 'timestamptz' }], order: 'asc' }
+  },
+  defaultSort: 'created_at',
+  idColumn: 'b.id'
+};
+
+/**
+ * Load a booking and check the user may act on it as its patient (or an admin)
+ */
+async function findOwnBooking(req) {
+  const booking = await bookingService.getBookingById(req.params.id);
+  
+  if (!booking) {
+    throw new NotFoundError('BOOKING_NOT_FOUND', 'Booking not found');
+  }
+  
+  if (!canAccessPatient(req.user, booking.patient_id)) {
+    throw forbidden();
+  }
+  
+  return booking;
+}
 
 class BookingController {
   async createBooking(req, res, next) {
     try {
-      const { slot_id, patient_name, patient_email, patient_phone } = req.body;
+      const { slot_id, appointment_type_id, patient_id, patient_name, patient_email, patient_phone } = req.body;
       
-      const booking = await bookingService.createBooking(
-        slot_id,
-        patient_name,
-        patient_email,
-        patient_phone
-      );
+      // Patients always book for themselves; admins book for any patient
+      let patient;
+      if (req.user.role === ROLES.PATIENT) {
+        patient = { id: req.user.patient_id };
+      } else if (patient_id) {
+        patient = { id: patient_id };
+      } else {
+        patient = { name: patient_name, email: patient_email, phone: patient_phone };
+      }
+      
+      const booking = await bookingService.createBooking(slot_id, patient, appointment_type_id, auditService.fromRequest(req));
       
       res.status(201).json({
         success: true,
         data: booking,
-        message: 'Booking created successfully'
+        expires_at: booking.expires_at,
+        message: 'Slot held - confirm the booking before the hold expires'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async confirmBooking(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      await findOwnBooking(req);
+      
+      const booking = await bookingService.confirmBooking(id, auditService.fromRequest(req), req.get('If-Match'));
+      
+      res.set('ETag', etagFor(booking.version));
+      res.json({
+        success: true,
+        data: booking,
+        message: 'Booking confirmed successfully'
       });
     } catch (error) {
-      if (error.message.includes('not found') || 
-          error.message.includes('no longer available') ||
-          error.message.includes('past appointments')) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
       next(error);
     }
   }
@@ -38,35 +88,57 @@ class BookingController {
       const booking = await bookingService.getBookingById(id);
       
       if (!booking) {
-        return res.status(404).json({
-          success: false,
-          error: 'Booking not found'
-        });
+        throw new NotFoundError('BOOKING_NOT_FOUND', 'Booking not found');
       }
       
+      if (!canAccessBooking(req.user, booking)) {
+        throw forbidden();
+      }
+      
+      res.set('ETag', etagFor(booking.version));
       res.json({
         success: true,
-        data: booking
+        data: withLocalTime(booking)
       });
     } catch (error) {
       next(error);
     }
   }
   
+  /**
+   * Bookings a page at a time, newest first by default (cursor pagination)
+   */
   async getAllBookings(req, res, next) {
     try {
-      const { status, patient_email } = req.query;
+      const { status, patient_email, from, to, created_from, created_to, include_total } = req.query;
+      let { patient_id, doctor_id } = req.query;
+      
+      // Patients only see their own bookings, doctors only those on their slots
+      if (req.user.role === ROLES.PATIENT) {
+        patient_id = req.user.patient_id;
+      } else if (req.user.role === ROLES.DOCTOR) {
+        doctor_id = req.user.doctor_id;
+      }
+      
+      const page = keysetPage(req.query, BOOKING_PAGE);
       
       let query = `
         SELECT 
           b.*,
           s.slot_date,
           s.slot_time,
-          s.duration_minutes,
+          COALESCE(b.duration_minutes, s.duration_minutes) as duration_minutes,
+          s.timezone,
+          s.starts_at,
+          p.name as patient_name,
+          p.email as patient_email,
+          p.phone as patient_phone,
           d.name as doctor_name,
-          d.specialization
+          d.specialization,
+          ${page.select}
         FROM bookings b
         JOIN appointment_slots s ON b.slot_id = s.id
+        JOIN patients p ON b.patient_id = p.id
         JOIN doctors d ON s.doctor_id = d.id
         WHERE 1=1
       `;
@@ -79,20 +151,64 @@ class BookingController {
         params.push(status.toUpperCase());
       }
       
+      if (patient_id) {
+        paramCount++;
+        query += ` AND b.patient_id = $${paramCount}`;
+        params.push(patient_id);
+      }
+      
+      if (doctor_id) {
+        paramCount++;
+        query += ` AND s.doctor_id = $${paramCount}`;
+        params.push(doctor_id);
+      }
+      
       if (patient_email) {
         paramCount++;
-        query += ` AND b.patient_email = $${paramCount}`;
+        query += ` AND LOWER(p.email) = LOWER($${paramCount})`;
         params.push(patient_email);
       }
       
-      query += ' ORDER BY b.created_at DESC';
+      // Appointment date range
+      if (from) {
+        paramCount++;
+        query += ` AND s.slot_date >= $${paramCount}`;
+        params.push(from);
+      }
+      
+      if (to) {
+        paramCount++;
+        query += ` AND s.slot_date <= $${paramCount}`;
+        params.push(to);
+      }
+      
+      // Booked date range (inclusive of the whole `created_to` day)
+      if (created_from) {
+        paramCount++;
+        query += ` AND b.created_at >= $${paramCount}::date`;
+        params.push(created_from);
+      }
+      
+      if (created_to) {
+        paramCount++;
+        query += ` AND b.created_at < $${paramCount}::date + 1`;
+        params.push(created_to);
+      }
+      
+      const total = include_total ? await countRows(pool, query, params) : undefined;
+      
+      query += page.where(params);
+      query += page.orderBy(params);
       
       const result = await pool.query(query, params);
+      const { rows, next_cursor } = page.paginate(result.rows);
       
       res.json({
         success: true,
-        count: result.rows.length,
-        data: result.rows
+        count: rows.length,
+        total,
+        next_cursor,
+        data: rows.map(withLocalTime)
       });
     } catch (error) {
       next(error);
@@ -103,19 +219,36 @@ class BookingController {
     try {
       const { id } = req.params;
       
-      const result = await bookingService.cancelBooking(id);
+      await findOwnBooking(req);
       
+      const result = await bookingService.cancelBooking(id, auditService.fromRequest(req), req.get('If-Match'));
+      
+      res.set('ETag', etagFor(result.version));
       res.json({
         success: true,
         message: result.message
       });
     } catch (error) {
-      if (error.message.includes('not found') || error.message.includes('already cancelled')) {
-        return res.status(400).json({
-          success: false,
-          error: error.message
-        });
-      }
+      next(error);
+    }
+  }
+  
+  async rescheduleBooking(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { slot_id } = req.body;
+      
+      await findOwnBooking(req);
+      
+      const booking = await bookingService.rescheduleBooking(id, slot_id, auditService.fromRequest(req), req.get('If-Match'));
+      
+      res.set('ETag', etagFor(booking.version));
+      res.json({
+        success: true,
+        data: booking,
+        message: 'Booking rescheduled successfully'
+      });
+    } catch (error) {
       next(error);
     }
   }
@@ -0,0 +1,96 @@
+const bookingService = require('../services/bookingService');
+const calendarService = require('../services/calendarService');
+const { ROLES, canAccessBooking, canAccessPatient, canManageDoctor, forbidden } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
+
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+const feedUrl = (req, path, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}${path}?token=${token}`;
+};
+
+/**
+ * Serve a token-authenticated feed. Wrong or missing tokens get a 404 so feed
+ * URLs cannot be used to probe which doctors or patients exist.
+ */
+const serveFeed = (owner) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!(await calendarService.verifyToken(owner, id, req.query.token))) {
+      throw new NotFoundError('CALENDAR_FEED_NOT_FOUND', 'Calendar feed not found');
+    }
+    
+    sendCalendar(res, await calendarService.feed(owner, id), `${owner}-${id}.ics`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rotateToken = (owner, canManage, basePath) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!canManage(req.user, id)) {
+      throw forbidden();
+    }
+    
+    const token = await calendarService.rotateToken(owner, id);
+    
+    if (!token) {
+      throw owner === 'doctor'
+        ? new NotFoundError('DOCTOR_NOT_FOUND', 'Doctor not found')
+        : new NotFoundError('PATIENT_NOT_FOUND', 'Patient not found');
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        feed_url: feedUrl(req, `${basePath}/${id}/calendar.ics`, token)
+      },
+      message: 'Calendar feed enabled - any previously shared feed URL no longer works'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+class CalendarController {
+  constructor() {
+    this.getDoctorFeed = serveFeed('doctor');
+    this.getPatientFeed = serveFeed('patient');
+    this.rotateDoctorToken = rotateToken('doctor', canManageDoctor, '/api/doctors');
+    this.rotatePatientToken = rotateToken('patient', canAccessPatient, '/api/patients');
+  }
+  
+  async getBookingIcs(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const booking = await bookingService.getBookingById(id);
+      
+      if (!booking) {
+        throw new NotFoundError('BOOKING_NOT_FOUND', 'Booking not found');
+      }
+      
+      if (!canAccessBooking(req.user, booking)) {
+        throw forbidden();
+      }
+      
+      const audience = req.user.role === ROLES.DOCTOR ? 'doctor' : 'patient';
+      sendCalendar(res, calendarService.bookingCalendar(booking, audience), `booking-${id}.ics`);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CalendarController();
@@ -1,46 +1,155 @@
 const pool = require('../config/database');
+const doctorSearchService = require('../services/doctorSearchService');
+const specializationService = require('../services/specializationService');
+const auditService = require('../services/auditService');
+const { keysetPage, countRows } = require('../utils/pagination');
+const { doctorSpecializationsSql, hasSpecializationSql } = require('../utils/specializations');
+const { etagFor, assertIfMatch } = require('../utils/etag');
+const { withTransaction } = require('../utils/transaction');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// The calendar feed token is a credential - never expose it on the public doctor endpoints
+// (the search document is internal too)
+const toPublicDoctor = ({ calendar_token, search_vector, ...doctor }) => doctor;
+
+// Sorts offered by GET /api/doctors
+const DOCTOR_PAGE = {
+  sortKeys: {
+    name: { columns: [{ sql: 'name', type: 'text' }], order: 'asc' },
+    created_at: { columns: [{ sql: 'created_at', type: 'timestamp' }], order: 'desc' }
+  },
+  defaultSort: 'name',
+  idColumn: 'id'
+};
+
+const findDoctor = async (db, id) => {
+  const result = await db.query(
+    `SELECT *, ${doctorSpecializationsSql('doctors.id')} as specializations
+     FROM doctors WHERE id = $1`,
+    [id]
+  );
+  
+  return result.rows[0] || null;
+};
+
+/**
+ * Lock a doctor row for the caller's transaction and return it
+ */
+const lockDoctor = async (client, id) => {
+  const locked = await client.query('SELECT id FROM doctors WHERE id = $1 FOR UPDATE', [id]);
+  
+  if (locked.rows.length === 0) {
+    throw new NotFoundError('DOCTOR_NOT_FOUND', 'Doctor not found');
+  }
+  
+  return findDoctor(client, id);
+};
 
 class DoctorController {
+  /**
+   * Create a doctor with one or more specialization codes (the first is primary)
+   */
   async createDoctor(req, res, next) {
     try {
-      const { name, specialization, email, phone } = req.body;
+      const { name, email, phone, timezone } = req.body;
+      const actor = auditService.fromRequest(req);
       
-      const result = await pool.query(
-        `INSERT INTO doctors (name, specialization, email, phone)
-         VALUES ($1, $2, $3, $4)
-         RETURNING *`,
-        [name, specialization, email, phone]
-      );
+      const doctor = await withTransaction('createDoctor', async (client) => {
+        const specializations = await specializationService.resolveForDoctor(client, req.body);
+        
+        const result = await client.query(
+          `INSERT INTO doctors (name, specialization, email, phone, timezone)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [name, specializations[0].name, email, phone, timezone]
+        );
+        
+        await specializationService.assignToDoctor(client, result.rows[0].id, specializations);
+        
+        const created = toPublicDoctor(await findDoctor(client, result.rows[0].id));
+        await auditService.record(client, actor, 'doctor', created.id, 'created', null, created);
+        
+        return created;
+      });
       
       res.status(201).json({
         success: true,
-        data: result.rows[0]
+        data: doctor
       });
     } catch (error) {
       next(error);
     }
   }
   
+  /**
+   * Doctors a page at a time; the table is small, so the total is always counted
+   */
   async getAllDoctors(req, res, next) {
     try {
-      const { specialization } = req.query;
+      const { specialization, created_from, created_to } = req.query;
+      const page = keysetPage(req.query, DOCTOR_PAGE);
       
-      let query = 'SELECT * FROM doctors';
+      // Deactivated doctors are hidden
+      let query = `
+        SELECT *, ${doctorSpecializationsSql('doctors.id')} as specializations, ${page.select}
+        FROM doctors
+        WHERE deleted_at IS NULL
+      `;
       const params = [];
+      let paramCount = 0;
       
+      // Any of the doctor's specializations, by code, display name or synonym
       if (specialization) {
-        query += ' WHERE LOWER(specialization) = LOWER($1)';
+        paramCount++;
+        query += ` AND ${hasSpecializationSql('doctors.id', `$${paramCount}`)}`;
         params.push(specialization);
       }
       
-      query += ' ORDER BY name';
+      if (created_from) {
+        paramCount++;
+        query += ` AND created_at >= $${paramCount}::date`;
+        params.push(created_from);
+      }
+      
+      if (created_to) {
+        paramCount++;
+        query += ` AND created_at < $${paramCount}::date + 1`;
+        params.push(created_to);
+      }
+      
+      const total = await countRows(pool, query, params);
+      
+      query += page.where(params);
+      query += page.orderBy(params);
       
       const result = await pool.query(query, params);
+      const { rows, next_cursor } = page.paginate(result.rows);
       
       res.json({
         success: true,
-        count: result.rows.length,
-        data: result.rows
+        count: rows.length,
+        total,
+        next_cursor,
+        data: rows.map(toPublicDoctor)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Ranked fuzzy search over name and specialization (?q=), best match first
+   */
+  async searchDoctors(req, res, next) {
+    try {
+      const { q, limit = 20 } = req.query;
+      
+      const doctors = await doctorSearchService.search(q, limit);
+      
+      res.json({
+        success: true,
+        count: doctors.length,
+        data: doctors.map(toPublicDoctor)
       });
     } catch (error) {
       next(error);
@@ -51,77 +160,196 @@ class DoctorController {
     try {
       const { id } = req.params;
       
-      const result = await pool.query(
-        'SELECT * FROM doctors WHERE id = $1',
-        [id]
-      );
+      const doctor = await findDoctor(pool, id);
       
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Doctor not found'
-        });
+      if (!doctor) {
+        throw new NotFoundError('DOCTOR_NOT_FOUND', 'Doctor not found');
       }
       
+      res.set('ETag', etagFor(doctor.version));
       res.json({
         success: true,
-        data: result.rows[0]
+        data: toPublicDoctor(doctor)
       });
     } catch (error) {
       next(error);
     }
   }
   
+  /**
+   * `specializations` (codes) replaces the doctor's specialties when given
+   */
   async updateDoctor(req, res, next) {
     try {
       const { id } = req.params;
-      const { name, specialization, phone } = req.body;
+      const { name, phone, timezone } = req.body;
+      const actor = auditService.fromRequest(req);
       
-      const result = await pool.query(
-        `UPDATE doctors 
-         SET name = COALESCE($1, name),
-             specialization = COALESCE($2, specialization),
-             phone = COALESCE($3, phone)
-         WHERE id = $4
-         RETURNING *`,
-        [name, specialization, phone, id]
-      );
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Doctor not found'
-        });
-      }
+      const doctor = await withTransaction('updateDoctor', async (client) => {
+        const current = await lockDoctor(client, id);
+        
+        // Refuse to overwrite changes made since the client read the doctor
+        assertIfMatch(req.get('If-Match'), current, 'Doctor');
+        
+        const before = toPublicDoctor(current);
+        
+        // A new timezone applies to slots created afterwards; existing slots keep their own
+        await client.query(
+          `UPDATE doctors 
+           SET name = COALESCE($1, name),
+               phone = COALESCE($2, phone),
+               timezone = COALESCE($3, timezone)
+           WHERE id = $4`,
+          [name, phone, timezone, id]
+        );
+        
+        const specializations = await specializationService.resolveForDoctor(client, req.body);
+        if (specializations.length > 0) {
+          await specializationService.assignToDoctor(client, id, specializations);
+        }
+        
+        const updated = toPublicDoctor(await findDoctor(client, id));
+        await auditService.record(client, actor, 'doctor', updated.id, 'updated', before, updated);
+        
+        return updated;
+      });
       
+      res.set('ETag', etagFor(doctor.version));
       res.json({
         success: true,
-        data: result.rows[0]
+        data: doctor
       });
     } catch (error) {
       next(error);
     }
   }
   
+  /**
+   * Deactivate a doctor. Their slots are hidden and cannot be booked, while their
+   * bookings (including upcoming ones) are kept; restore reverses it.
+   */
   async deleteDoctor(req, res, next) {
     try {
       const { id } = req.params;
+      const actor = auditService.fromRequest(req);
+      
+      const deactivated = await withTransaction('deleteDoctor', async (client) => {
+        const doctor = await lockDoctor(client, id);
+        
+        if (doctor.deleted_at) {
+          throw new ConflictError('DOCTOR_ALREADY_DEACTIVATED', 'Doctor is already deactivated');
+        }
+        
+        await client.query('UPDATE doctors SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+        
+        const after = toPublicDoctor(await findDoctor(client, id));
+        await auditService.record(client, actor, 'doctor', doctor.id, 'deactivated', toPublicDoctor(doctor), after);
+        
+        return after;
+      });
       
+      res.json({
+        success: true,
+        data: deactivated,
+        message: 'Doctor deactivated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async restoreDoctor(req, res, next) {
+    try {
+      const { id } = req.params;
+      const actor = auditService.fromRequest(req);
+      
+      const restored = await withTransaction('restoreDoctor', async (client) => {
+        const doctor = await lockDoctor(client, id);
+        
+        if (!doctor.deleted_at) {
+          throw new ConflictError('DOCTOR_NOT_DEACTIVATED', 'Doctor is not deactivated');
+        }
+        
+        await client.query('UPDATE doctors SET deleted_at = NULL WHERE id = $1', [id]);
+        
+        const after = toPublicDoctor(await findDoctor(client, id));
+        await auditService.record(client, actor, 'doctor', doctor.id, 'restored', toPublicDoctor(doctor), after);
+        
+        return after;
+      });
+      
+      res.json({
+        success: true,
+        data: restored,
+        message: 'Doctor restored successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Permanently delete a doctor with their slots and booking history.
+   * Refused while any of their bookings is still PENDING or CONFIRMED.
+   */
+  async purgeDoctor(req, res, next) {
+    try {
+      const { id } = req.params;
+      const actor = auditService.fromRequest(req);
+      
+      await withTransaction('purgeDoctor', async (client) => {
+        const doctor = await lockDoctor(client, id);
+        
+        // Bookings lock their slots, so locking every slot of the doctor waits for
+        // bookings in flight and keeps new ones out until the purge commits
+        await client.query('SELECT id FROM appointment_slots WHERE doctor_id = $1 FOR UPDATE', [id]);
+        
+        const active = await client.query(
+          `SELECT COUNT(DISTINCT b.id)::int as bookings
+           FROM bookings b
+           JOIN booking_slots bs ON bs.booking_id = b.id
+           JOIN appointment_slots s ON bs.slot_id = s.id
+           WHERE s.doctor_id = $1 AND b.status IN ('PENDING', 'CONFIRMED')`,
+          [id]
+        );
+        
+        if (active.rows[0].bookings > 0) {
+          throw new ConflictError(
+            'PURGE_BLOCKED_BY_BOOKINGS',
+            `Doctor has ${active.rows[0].bookings} active bookings - cancel them before purging`
+          );
+        }
+        
+        await client.query('DELETE FROM doctors WHERE id = $1', [id]);
+        
+        await auditService.record(client, actor, 'doctor', doctor.id, 'purged', toPublicDoctor(doctor), null);
+      });
+      
+      res.json({
+        success: true,
+        message: 'Doctor purged with their slots and booking history'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Deactivated doctors, most recently deactivated first
+   */
+  async getDeletedDoctors(req, res, next) {
+    try {
       const result = await pool.query(
-        'DELETE FROM doctors WHERE id = $1 RETURNING *',
-        [id]
+        `SELECT *, ${doctorSpecializationsSql('doctors.id')} as specializations
+         FROM doctors
+         WHERE deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC, id`
       );
       
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Doctor not found'
-        });
-      }
-      
       res.json({
         success: true,
-        message: 'Doctor deleted successfully'
+        count: result.rows.length,
+        data: result.rows.map(toPublicDoctor)
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,276 @@
+const pool = require('../config/database');
+const { distanceKmSql } = require('../utils/geo');
+const { withTransaction } = require('../utils/transaction');
+const { InvalidRequestError, NotFoundError } = require('../utils/errors');
+
+class LocationController {
+  async createLocation(req, res, next) {
+    try {
+      const { name, address, latitude, longitude, timezone, phone } = req.body;
+      
+      const result = await pool.query(
+        `INSERT INTO locations (name, address, latitude, longitude, timezone, phone)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [name, address, latitude, longitude, timezone, phone]
+      );
+      
+      res.status(201).json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * List locations, nearest first when lat/lng are given
+   */
+  async getAllLocations(req, res, next) {
+    try {
+      const { lat, lng, radius_km } = req.query;
+      
+      if (lat === undefined || lng === undefined) {
+        const result = await pool.query('SELECT * FROM locations ORDER BY name');
+        
+        return res.json({
+          success: true,
+          count: result.rows.length,
+          data: result.rows
+        });
+      }
+      
+      const distance = distanceKmSql('l', '$1::float8', '$2::float8');
+      let query = `
+        SELECT l.*, ROUND(${distance}::numeric, 2)::float8 as distance_km
+        FROM locations l
+        WHERE l.latitude IS NOT NULL AND l.longitude IS NOT NULL
+      `;
+      const params = [lat, lng];
+      
+      if (radius_km) {
+        query += ` AND ${distance} <= $3`;
+        params.push(radius_km);
+      }
+      
+      query += ' ORDER BY distance_km, l.name';
+      
+      const result = await pool.query(query, params);
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Location details with its opening hours and assigned doctors
+   */
+  async getLocationById(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const result = await pool.query(
+        `SELECT
+          l.*,
+          COALESCE((
+            SELECT json_agg(json_build_object(
+              'day_of_week', h.day_of_week,
+              'open_time', h.open_time,
+              'close_time', h.close_time
+            ) ORDER BY h.day_of_week, h.open_time)
+            FROM location_hours h WHERE h.location_id = l.id
+          ), '[]') as opening_hours,
+          COALESCE((
+            SELECT json_agg(json_build_object(
+              'id', d.id,
+              'name', d.name,
+              'specialization', d.specialization
+            ) ORDER BY d.name)
+            FROM doctor_locations dl
+            JOIN doctors d ON dl.doctor_id = d.id
+            WHERE dl.location_id = l.id AND d.deleted_at IS NULL
+          ), '[]') as doctors
+         FROM locations l
+         WHERE l.id = $1`,
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('LOCATION_NOT_FOUND', 'Location not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async updateLocation(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name, address, latitude, longitude, timezone, phone } = req.body;
+      
+      // A new timezone applies to slots created afterwards; existing slots keep their own
+      const result = await pool.query(
+        `UPDATE locations
+         SET name = COALESCE($1, name),
+             address = COALESCE($2, address),
+             latitude = COALESCE($3, latitude),
+             longitude = COALESCE($4, longitude),
+             timezone = COALESCE($5, timezone),
+             phone = COALESCE($6, phone)
+         WHERE id = $7
+         RETURNING *`,
+        [name, address, latitude, longitude, timezone, phone, id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('LOCATION_NOT_FOUND', 'Location not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deleteLocation(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      // Slots keep a reference to where they take place
+      const slotCheck = await pool.query(
+        'SELECT COUNT(*) FROM appointment_slots WHERE location_id = $1',
+        [id]
+      );
+      
+      if (parseInt(slotCheck.rows[0].count) > 0) {
+        throw new InvalidRequestError('LOCATION_HAS_SLOTS', 'Cannot delete location with slots');
+      }
+      
+      const result = await pool.query(
+        'DELETE FROM locations WHERE id = $1 RETURNING id',
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('LOCATION_NOT_FOUND', 'Location not found');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Location deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Replace the location's weekly opening hours
+   */
+  async setOpeningHours(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { hours } = req.body;
+      
+      const saved = await withTransaction('setOpeningHours', async (client) => {
+        const location = await client.query(
+          'SELECT id FROM locations WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+        
+        if (location.rows.length === 0) {
+          throw new NotFoundError('LOCATION_NOT_FOUND', 'Location not found');
+        }
+        
+        await client.query('DELETE FROM location_hours WHERE location_id = $1', [id]);
+        
+        const result = await client.query(
+          `INSERT INTO location_hours (location_id, day_of_week, open_time, close_time)
+           SELECT $1, u.day_of_week, u.open_time, u.close_time
+           FROM unnest($2::int[], $3::time[], $4::time[]) AS u(day_of_week, open_time, close_time)
+           RETURNING day_of_week, open_time, close_time`,
+          [
+            id,
+            hours.map(h => h.day_of_week),
+            hours.map(h => h.open_time),
+            hours.map(h => h.close_time)
+          ]
+        );
+        
+        return result.rows;
+      });
+      
+      res.json({
+        success: true,
+        data: saved
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async assignDoctor(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { doctor_id } = req.body;
+      
+      const result = await pool.query(
+        `INSERT INTO doctor_locations (doctor_id, location_id)
+         VALUES ($1, $2)
+         ON CONFLICT (doctor_id, location_id) DO NOTHING
+         RETURNING *`,
+        [doctor_id, id]
+      );
+      
+      res.status(result.rows.length > 0 ? 201 : 200).json({
+        success: true,
+        message: result.rows.length > 0
+          ? 'Doctor assigned to location'
+          : 'Doctor is already assigned to this location'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Existing slots at the location are kept; the doctor just cannot get new ones there
+   */
+  async unassignDoctor(req, res, next) {
+    try {
+      const { id, doctorId } = req.params;
+      
+      const result = await pool.query(
+        'DELETE FROM doctor_locations WHERE location_id = $1 AND doctor_id = $2 RETURNING *',
+        [id, doctorId]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('LOCATION_ASSIGNMENT_NOT_FOUND', 'Doctor is not assigned to this location');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Doctor removed from location'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LocationController();
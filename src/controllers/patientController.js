@@ -0,0 +1,226 @@
+const pool = require('../config/database');
+const { canAccessPatient, forbidden } = require('../middleware/auth');
+const { withLocalTime } = require('../utils/timezone');
+const { InvalidRequestError, NotFoundError } = require('../utils/errors');
+
+class PatientController {
+  async createPatient(req, res, next) {
+    try {
+      const {
+        name,
+        email,
+        phone,
+        date_of_birth,
+        preferred_contact,
+        allow_email,
+        allow_sms
+      } = req.body;
+      
+      const result = await pool.query(
+        `INSERT INTO patients (name, email, phone, date_of_birth, preferred_contact, allow_email, allow_sms)
+         VALUES ($1, $2, $3, $4, COALESCE($5, 'EMAIL'), COALESCE($6, TRUE), COALESCE($7, FALSE))
+         RETURNING *`,
+        [name, email, phone, date_of_birth, preferred_contact, allow_email, allow_sms]
+      );
+      
+      res.status(201).json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getAllPatients(req, res, next) {
+    try {
+      const { email, q } = req.query;
+      
+      let query = 'SELECT * FROM patients WHERE 1=1';
+      const params = [];
+      let paramCount = 0;
+      
+      if (email) {
+        paramCount++;
+        query += ` AND LOWER(email) = LOWER($${paramCount})`;
+        params.push(email);
+      }
+      
+      if (q) {
+        paramCount++;
+        query += ` AND (name ILIKE $${paramCount} OR email ILIKE $${paramCount})`;
+        params.push(`%${q}%`);
+      }
+      
+      query += ' ORDER BY name';
+      
+      const result = await pool.query(query, params);
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getPatientById(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      if (!canAccessPatient(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const result = await pool.query(
+        'SELECT * FROM patients WHERE id = $1',
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('PATIENT_NOT_FOUND', 'Patient not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async updatePatient(req, res, next) {
+    try {
+      const { id } = req.params;
+      const {
+        name,
+        email,
+        phone,
+        date_of_birth,
+        preferred_contact,
+        allow_email,
+        allow_sms
+      } = req.body;
+      
+      if (!canAccessPatient(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const result = await pool.query(
+        `UPDATE patients
+         SET name = COALESCE($1, name),
+             email = COALESCE($2, email),
+             phone = COALESCE($3, phone),
+             date_of_birth = COALESCE($4, date_of_birth),
+             preferred_contact = COALESCE($5, preferred_contact),
+             allow_email = COALESCE($6, allow_email),
+             allow_sms = COALESCE($7, allow_sms)
+         WHERE id = $8
+         RETURNING *`,
+        [name, email, phone, date_of_birth, preferred_contact, allow_email, allow_sms, id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('PATIENT_NOT_FOUND', 'Patient not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deletePatient(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      // Booking history references the patient, so only patients without bookings can be removed
+      const bookingCheck = await pool.query(
+        'SELECT COUNT(*) FROM bookings WHERE patient_id = $1',
+        [id]
+      );
+      
+      if (parseInt(bookingCheck.rows[0].count) > 0) {
+        throw new InvalidRequestError('PATIENT_HAS_BOOKINGS', 'Cannot delete patient with booking history');
+      }
+      
+      const result = await pool.query(
+        'DELETE FROM patients WHERE id = $1 RETURNING *',
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('PATIENT_NOT_FOUND', 'Patient not found');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Patient deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getPatientBookings(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status } = req.query;
+      
+      if (!canAccessPatient(req.user, id)) {
+        throw forbidden();
+      }
+      
+      const patient = await pool.query(
+        'SELECT id FROM patients WHERE id = $1',
+        [id]
+      );
+      
+      if (patient.rows.length === 0) {
+        throw new NotFoundError('PATIENT_NOT_FOUND', 'Patient not found');
+      }
+      
+      let query = `
+        SELECT
+          b.*,
+          s.slot_date,
+          s.slot_time,
+          COALESCE(b.duration_minutes, s.duration_minutes) as duration_minutes,
+          s.timezone,
+          s.starts_at,
+          d.name as doctor_name,
+          d.specialization
+        FROM bookings b
+        JOIN appointment_slots s ON b.slot_id = s.id
+        JOIN doctors d ON s.doctor_id = d.id
+        WHERE b.patient_id = $1
+      `;
+      const params = [id];
+      
+      if (status) {
+        query += ' AND b.status = $2';
+        params.push(status.toUpperCase());
+      }
+      
+      query += ' ORDER BY s.slot_date DESC, s.slot_time DESC';
+      
+      const result = await pool.query(query, params);
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows.map(withLocalTime)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PatientController();
@@ -1,29 +1,156 @@
 const pool = require('../config/database');
+const locationService = require('../services/locationService');
+const blackoutService = require('../services/blackoutService');
+const auditService = require('../services/auditService');
+const { addMinutes } = require('../utils/time');
+const { zonedTimeToUtc, withLocalTime } = require('../utils/timezone');
+const { distanceKmSql } = require('../utils/geo');
+const { slotBlockedSql } = require('../utils/blackout');
+const { fittingStartSlotsSql } = require('../utils/slotRuns');
+const { hasSpecializationSql } = require('../utils/specializations');
+const { keysetPage, countRows } = require('../utils/pagination');
+const { etagFor, assertIfMatch } = require('../utils/etag');
+const { withTransaction } = require('../utils/transaction');
+const { InvalidRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { canManageDoctor, forbidden } = require('../middleware/auth');
+
+/**
+ * IDs of the doctor's slots overlapping any of the given { startsAt, endsAt }
+ * ranges. With `ignoreIdentical`, a slot with exactly the same start and end as
+ * a requested range does not count (bulk creation skips it as already existing).
+ */
+const findOverlappingSlots = async (doctorId, ranges, ignoreIdentical = false) => {
+  const result = await pool.query(
+    `SELECT DISTINCT s.id
+     FROM appointment_slots s
+     JOIN unnest($2::timestamptz[], $3::timestamptz[]) AS r(starts_at, ends_at)
+       ON tstzrange(s.starts_at, s.ends_at) && tstzrange(r.starts_at, r.ends_at)
+     WHERE s.doctor_id = $1
+     AND NOT ($4 AND s.starts_at = r.starts_at AND s.ends_at = r.ends_at)
+     ORDER BY s.id`,
+    [doctorId, ranges.map(range => range.startsAt), ranges.map(range => range.endsAt), ignoreIdentical]
+  );
+  
+  return result.rows.map(row => row.id);
+};
+
+const overlapConflict = (slotIds) => new ConflictError(
+  'SLOT_OVERLAP',
+  `Overlaps existing slots for this doctor: ${slotIds.join(', ')}`,
+  { conflicting_slot_ids: slotIds }
+);
+
+const slotRange = (startsAt, durationMinutes) => ({
+  startsAt,
+  endsAt: new Date(startsAt.getTime() + durationMinutes * 60000)
+});
+
+// Sorts offered by GET /api/slots; distance needs lat/lng ($1 and $2)
+const SLOT_PAGE = {
+  sortKeys: {
+    starts_at: { columns: [{ sql: 's.starts_at', type: 'timestamptz' }], order: 'asc' },
+    remaining_seats: {
+      columns: [{ sql: '(s.capacity - s.booked_count)', type: 'int' }, { sql: 's.starts_at', type: 'timestamptz' }],
+      order: 'desc'
+    },
+    distance: {
+      columns: [
+        { sql: `ROUND(${distanceKmSql('l', '$1::float8', '$2::float8')}::numeric, 2)`, type: 'numeric' },
+        { sql: 's.starts_at', type: 'timestamptz' }
+      ],
+      order: 'asc'
+    }
+  },
+  idColumn: 's.id'
+};
+
+/**
+ * Lock a slot for the caller's transaction, check the user may manage it and
+ * that it still matches the request's If-Match
+ */
+const lockManagedSlot = async (client, req) => {
+  const slot = await client.query(
+    'SELECT * FROM appointment_slots WHERE id = $1 FOR UPDATE',
+    [req.params.id]
+  );
+  
+  if (slot.rows.length === 0) {
+    throw new NotFoundError('SLOT_NOT_FOUND', 'Slot not found');
+  }
+  
+  if (!canManageDoctor(req.user, slot.rows[0].doctor_id)) {
+    throw forbidden();
+  }
+  
+  assertIfMatch(req.get('If-Match'), slot.rows[0], 'Slot');
+  
+  return slot.rows[0];
+};
+
+const countActiveBookings = async (client, slotId) => {
+  const bookingCheck = await client.query(
+    `SELECT COUNT(*) FROM booking_slots bs
+     JOIN bookings b ON bs.booking_id = b.id
+     WHERE bs.slot_id = $1 AND b.status IN ($2, $3)`,
+    [slotId, 'PENDING', 'CONFIRMED']
+  );
+  
+  return parseInt(bookingCheck.rows[0].count);
+};
 
 class SlotController {
   async createSlot(req, res, next) {
     try {
-      const { doctor_id, slot_date, slot_time, duration_minutes = 30 } = req.body;
+      const { doctor_id, slot_date, slot_time, duration_minutes = 30, location_id, capacity = 1 } = req.body;
+      
+      if (!canManageDoctor(req.user, doctor_id)) {
+        throw forbidden();
+      }
+      
+      // Slot times are wall-clock times in the location's (or doctor's) timezone
+      const { timezone, hours, blackouts } = await locationService.getSlotContext(pool, doctor_id, location_id);
+      
+      if (!locationService.isWithinOpeningHours(hours, slot_date, slot_time, duration_minutes)) {
+        throw new InvalidRequestError('SLOT_OUTSIDE_OPENING_HOURS', 'Slot falls outside the location\'s opening hours');
+      }
+      
+      const startsAt = zonedTimeToUtc(slot_date, slot_time, timezone);
+      
+      if (!startsAt) {
+        throw new InvalidRequestError('SLOT_TIME_NONEXISTENT', `${slot_date} ${slot_time} does not exist in ${timezone} (daylight saving time change)`);
+      }
       
       // Validate slot is in the future
-      const slotDateTime = new Date(`${slot_date}T${slot_time}`);
-      if (slotDateTime < new Date()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Cannot create slots in the past'
-        });
+      if (startsAt < new Date()) {
+        throw new InvalidRequestError('SLOT_TIME_IN_PAST', 'Cannot create slots in the past');
       }
       
-      const result = await pool.query(
-        `INSERT INTO appointment_slots (doctor_id, slot_date, slot_time, duration_minutes)
-         VALUES ($1, $2, $3, $4)
-         RETURNING *`,
-        [doctor_id, slot_date, slot_time, duration_minutes]
-      );
+      if (blackoutService.isBlocked(blackouts, slot_date, startsAt, duration_minutes)) {
+        throw new InvalidRequestError('SLOT_DURING_BLACKOUT', 'Slot falls within the doctor\'s time off or a clinic holiday');
+      }
+      
+      // The exclusion constraint is the real guard; checking first names the conflicting slots
+      const conflicts = await findOverlappingSlots(doctor_id, [slotRange(startsAt, duration_minutes)]);
+      if (conflicts.length > 0) {
+        throw overlapConflict(conflicts);
+      }
+      
+      const slot = await withTransaction('createSlot', async (client) => {
+        const result = await client.query(
+          `INSERT INTO appointment_slots (doctor_id, slot_date, slot_time, duration_minutes, timezone, location_id, capacity)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [doctor_id, slot_date, slot_time, duration_minutes, timezone, location_id, capacity]
+        );
+        
+        await auditService.record(client, auditService.fromRequest(req), 'slot', result.rows[0].id, 'created', null, result.rows[0]);
+        
+        return result.rows[0];
+      });
       
       res.status(201).json({
         success: true,
-        data: result.rows[0]
+        data: withLocalTime(slot)
       });
     } catch (error) {
       next(error);
@@ -32,53 +159,66 @@ class SlotController {
   
   async createBulkSlots(req, res, next) {
     try {
-      const { doctor_id, slot_date, start_time, end_time, duration_minutes = 30 } = req.body;
+      const { doctor_id, slot_date, start_time, end_time, duration_minutes = 30, location_id, capacity = 1 } = req.body;
+      
+      if (!canManageDoctor(req.user, doctor_id)) {
+        throw forbidden();
+      }
+      
+      const { timezone, hours, blackouts } = await locationService.getSlotContext(pool, doctor_id, location_id);
       
       const slots = [];
+      const ranges = [];
+      let skipped = 0;
       let currentTime = start_time;
       
       while (currentTime < end_time) {
-        slots.push([doctor_id, slot_date, currentTime, duration_minutes]);
+        // Slots outside opening hours, wall times skipped when the clocks go forward
+        // and slots during time off or holidays are left out
+        const startsAt = zonedTimeToUtc(slot_date, currentTime, timezone);
+        if (locationService.isWithinOpeningHours(hours, slot_date, currentTime, duration_minutes) &&
+            startsAt && !blackoutService.isBlocked(blackouts, slot_date, startsAt, duration_minutes)) {
+          slots.push([doctor_id, slot_date, currentTime, duration_minutes, timezone, location_id || null, capacity]);
+          ranges.push(slotRange(startsAt, duration_minutes));
+        } else {
+          skipped++;
+        }
         
-        // Increment time
-        const [hours, minutes] = currentTime.split(':').map(Number);
-        const totalMinutes = hours * 60 + minutes + duration_minutes;
-        const newHours = Math.floor(totalMinutes / 60);
-        const newMinutes = totalMinutes % 60;
-        currentTime = `${String(newHours).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`;
+        currentTime = addMinutes(currentTime, duration_minutes);
       }
       
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-        
-        const insertedSlots = [];
+      // Re-running the same bulk request skips existing slots; any other overlap fails the batch
+      const conflicts = await findOverlappingSlots(doctor_id, ranges, true);
+      if (conflicts.length > 0) {
+        throw overlapConflict(conflicts);
+      }
+      
+      const actor = auditService.fromRequest(req);
+      const insertedSlots = await withTransaction('createBulkSlots', async (client) => {
+        const inserted = [];
         for (const slot of slots) {
           const result = await client.query(
-            `INSERT INTO appointment_slots (doctor_id, slot_date, slot_time, duration_minutes)
-             VALUES ($1, $2, $3, $4)
+            `INSERT INTO appointment_slots (doctor_id, slot_date, slot_time, duration_minutes, timezone, location_id, capacity)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
              ON CONFLICT (doctor_id, slot_date, slot_time) DO NOTHING
              RETURNING *`,
             slot
           );
           if (result.rows.length > 0) {
-            insertedSlots.push(result.rows[0]);
+            inserted.push(result.rows[0]);
+            await auditService.record(client, actor, 'slot', result.rows[0].id, 'created', null, result.rows[0]);
           }
         }
         
-        await client.query('COMMIT');
-        
-        res.status(201).json({
-          success: true,
-          count: insertedSlots.length,
-          data: insertedSlots
-        });
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
-      }
+        return inserted;
+      });
+      
+      res.status(201).json({
+        success: true,
+        count: insertedSlots.length,
+        skipped,
+        data: insertedSlots.map(withLocalTime)
+      });
     } catch (error) {
       next(error);
     }
@@ -86,17 +226,56 @@ class SlotController {
   
   async getAvailableSlots(req, res, next) {
     try {
-      const { doctor_id, date, specialization } = req.query;
+      const {
+        doctor_id, date, from, to, specialization, location_id, lat, lng, radius_km, appointment_type_id, include_total
+      } = req.query;
+      const nearest = lat !== undefined && lng !== undefined;
+      const params = [];
+      let paramCount = 0;
+      
+      // Nearest searches default to closest first
+      const page = keysetPage(req.query, { ...SLOT_PAGE, defaultSort: nearest ? 'distance' : 'starts_at' });
+      
+      // Nearest search: distance from the given point to each slot's location
+      let distance = 'NULL';
+      if (nearest) {
+        params.push(lat, lng);
+        paramCount = 2;
+        distance = distanceKmSql('l', '$1::float8', '$2::float8');
+      }
       
       let query = `
-        SELECT s.*, d.name as doctor_name, d.specialization
+        SELECT
+          s.*,
+          s.capacity - s.booked_count as remaining_seats,
+          d.name as doctor_name,
+          d.specialization,
+          l.name as location_name,
+          ROUND(${distance}::numeric, 2)::float8 as distance_km,
+          ${page.select}
         FROM appointment_slots s
         JOIN doctors d ON s.doctor_id = d.id
+        LEFT JOIN locations l ON s.location_id = l.id
         WHERE s.is_available = TRUE
-        AND s.slot_date >= CURRENT_DATE
+        AND s.starts_at > NOW()
+        AND NOT ${slotBlockedSql('s')}
       `;
-      const params = [];
-      let paramCount = 0;
+      
+      if (nearest) {
+        query += ' AND l.latitude IS NOT NULL AND l.longitude IS NOT NULL';
+        
+        if (radius_km) {
+          paramCount++;
+          query += ` AND ${distance} <= $${paramCount}`;
+          params.push(radius_km);
+        }
+      }
+      
+      if (location_id) {
+        paramCount++;
+        query += ` AND s.location_id = $${paramCount}`;
+        params.push(location_id);
+      }
       
       if (doctor_id) {
         paramCount++;
@@ -110,20 +289,55 @@ class SlotController {
         params.push(date);
       }
       
+      if (from) {
+        paramCount++;
+        query += ` AND s.slot_date >= $${paramCount}`;
+        params.push(from);
+      }
+      
+      if (to) {
+        paramCount++;
+        query += ` AND s.slot_date <= $${paramCount}`;
+        params.push(to);
+      }
+      
+      // Only start times where enough consecutive free slots follow for the type
+      if (appointment_type_id) {
+        const type = await pool.query(
+          'SELECT doctor_id, duration_minutes FROM appointment_types WHERE id = $1 AND is_active = TRUE',
+          [appointment_type_id]
+        );
+        
+        if (type.rows.length === 0) {
+          throw new NotFoundError('APPOINTMENT_TYPE_NOT_FOUND', 'Appointment type not found');
+        }
+        
+        params.push(type.rows[0].doctor_id, type.rows[0].duration_minutes);
+        paramCount += 2;
+        query += ` AND s.id IN (${fittingStartSlotsSql(`$${paramCount - 1}::int`, `$${paramCount}::int`)})`;
+      }
+      
+      // Any of the doctor's specializations, by code, display name or synonym
       if (specialization) {
         paramCount++;
-        query += ` AND LOWER(d.specialization) = LOWER($${paramCount})`;
+        query += ` AND ${hasSpecializationSql('d.id', `$${paramCount}`)}`;
         params.push(specialization);
       }
       
-      query += ' ORDER BY s.slot_date, s.slot_time';
+      const total = include_total ? await countRows(pool, query, params) : undefined;
+      
+      query += page.where(params);
+      query += page.orderBy(params);
       
       const result = await pool.query(query, params);
+      const { rows, next_cursor } = page.paginate(result.rows);
       
       res.json({
         success: true,
-        count: result.rows.length,
-        data: result.rows
+        count: rows.length,
+        total,
+        next_cursor,
+        data: rows.map(withLocalTime)
       });
     } catch (error) {
       next(error);
@@ -135,61 +349,134 @@ class SlotController {
       const { id } = req.params;
       
       const result = await pool.query(
-        `SELECT s.*, d.name as doctor_name, d.specialization
+        `SELECT s.*, s.capacity - s.booked_count as remaining_seats,
+                d.name as doctor_name, d.specialization, l.name as location_name,
+                ${slotBlockedSql('s')} as is_blocked
          FROM appointment_slots s
          JOIN doctors d ON s.doctor_id = d.id
+         LEFT JOIN locations l ON s.location_id = l.id
          WHERE s.id = $1`,
         [id]
       );
       
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Slot not found'
-        });
+        throw new NotFoundError('SLOT_NOT_FOUND', 'Slot not found');
       }
       
+      res.set('ETag', etagFor(result.rows[0].version));
       res.json({
         success: true,
-        data: result.rows[0]
+        data: withLocalTime(result.rows[0])
       });
     } catch (error) {
       next(error);
     }
   }
   
+  /**
+   * Soft delete: the slot can no longer be booked but keeps its bookings
+   * history; restore brings it back
+   */
   async deleteSlot(req, res, next) {
     try {
       const { id } = req.params;
+      const actor = auditService.fromRequest(req);
       
-      // Check if slot has bookings
-      const bookingCheck = await pool.query(
-        'SELECT COUNT(*) FROM bookings WHERE slot_id = $1 AND status IN ($2, $3)',
-        [id, 'PENDING', 'CONFIRMED']
-      );
+      const deleted = await withTransaction('deleteSlot', async (client) => {
+        // Locking the slot keeps a booking from taking a seat while it is deleted
+        const slot = await lockManagedSlot(client, req);
+        
+        if (slot.deleted_at) {
+          throw new ConflictError('SLOT_ALREADY_DELETED', 'Slot is already deleted');
+        }
+        
+        if (await countActiveBookings(client, id) > 0) {
+          throw new ConflictError('SLOT_HAS_ACTIVE_BOOKINGS', 'Cannot delete slot with active bookings');
+        }
+        
+        const result = await client.query(
+          'UPDATE appointment_slots SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+          [id]
+        );
+        
+        await auditService.record(client, actor, 'slot', slot.id, 'deleted', slot, result.rows[0]);
+        
+        return result.rows[0];
+      });
       
-      if (parseInt(bookingCheck.rows[0].count) > 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Cannot delete slot with active bookings'
-        });
-      }
+      res.set('ETag', etagFor(deleted.version));
+      res.json({
+        success: true,
+        message: 'Slot deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async restoreSlot(req, res, next) {
+    try {
+      const { id } = req.params;
+      const actor = auditService.fromRequest(req);
       
-      const result = await pool.query(
-        'DELETE FROM appointment_slots WHERE id = $1 RETURNING *',
-        [id]
-      );
+      const restored = await withTransaction('restoreSlot', async (client) => {
+        const slot = await lockManagedSlot(client, req);
+        
+        if (!slot.deleted_at) {
+          throw new ConflictError('SLOT_NOT_DELETED', 'Slot is not deleted');
+        }
+        
+        // The availability trigger reopens it unless full or the doctor is deactivated
+        const result = await client.query(
+          'UPDATE appointment_slots SET deleted_at = NULL WHERE id = $1 RETURNING *',
+          [id]
+        );
+        
+        await auditService.record(client, actor, 'slot', slot.id, 'restored', slot, result.rows[0]);
+        
+        return result.rows[0];
+      });
       
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Slot not found'
-        });
-      }
+      res.set('ETag', etagFor(restored.version));
+      res.json({
+        success: true,
+        data: withLocalTime(restored),
+        message: 'Slot restored successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  /**
+   * Permanently delete a slot with its booking history (admin only).
+   * Refused while it has PENDING or CONFIRMED bookings.
+   */
+  async purgeSlot(req, res, next) {
+    try {
+      const { id } = req.params;
+      const actor = auditService.fromRequest(req);
+      
+      await withTransaction('purgeSlot', async (client) => {
+        const slot = await lockManagedSlot(client, req);
+        
+        const activeBookings = await countActiveBookings(client, id);
+        
+        if (activeBookings > 0) {
+          throw new ConflictError(
+            'PURGE_BLOCKED_BY_BOOKINGS',
+            `Slot has ${activeBookings} active bookings - cancel them before purging`
+          );
+        }
+        
+        await client.query('DELETE FROM appointment_slots WHERE id = $1', [id]);
+        
+        await auditService.record(client, actor, 'slot', slot.id, 'purged', slot, null);
+      });
       
       res.json({
         success: true,
-        message: 'Slot deleted successfully'
+        message: 'Slot purged with its booking history'
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,87 @@
+const pool = require('../config/database');
+const specializationService = require('../services/specializationService');
+const { NotFoundError } = require('../utils/errors');
+
+const notFound = () => new NotFoundError('SPECIALIZATION_NOT_FOUND', 'Specialization not found');
+
+class SpecializationController {
+  async getAllSpecializations(req, res, next) {
+    try {
+      const specializations = await specializationService.getSpecializations();
+      
+      res.json({
+        success: true,
+        count: specializations.length,
+        data: specializations
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getSpecializationById(req, res, next) {
+    try {
+      const specialization = await specializationService.getSpecializationById(pool, req.params.id);
+      
+      if (!specialization) {
+        throw notFound();
+      }
+      
+      res.json({
+        success: true,
+        data: specialization
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async createSpecialization(req, res, next) {
+    try {
+      const specialization = await specializationService.createSpecialization(req.body);
+      
+      res.status(201).json({
+        success: true,
+        data: specialization
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async updateSpecialization(req, res, next) {
+    try {
+      const specialization = await specializationService.updateSpecialization(req.params.id, req.body);
+      
+      if (!specialization) {
+        throw notFound();
+      }
+      
+      res.json({
+        success: true,
+        data: specialization
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deleteSpecialization(req, res, next) {
+    try {
+      const specialization = await specializationService.deleteSpecialization(req.params.id);
+      
+      if (!specialization) {
+        throw notFound();
+      }
+      
+      res.json({
+        success: true,
+        message: 'Specialization deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SpecializationController();
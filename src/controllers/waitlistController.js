@@ -0,0 +1,150 @@
+const waitlistService = require('../services/waitlistService');
+const auditService = require('../services/auditService');
+const pool = require('../config/database');
+const { ROLES, canAccessPatient, canManageDoctor, forbidden } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
+
+class WaitlistController {
+  async createEntry(req, res, next) {
+    try {
+      const data = { ...req.body };
+      
+      // Patients always join the waitlist themselves; admins enrol any patient
+      if (req.user.role === ROLES.PATIENT) {
+        data.patient_id = req.user.patient_id;
+      }
+      
+      const entry = await waitlistService.createEntry(data);
+      
+      res.status(201).json({
+        success: true,
+        data: entry,
+        message: 'Added to waitlist - a matching slot will be held for you when one is released'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getAllEntries(req, res, next) {
+    try {
+      const { status } = req.query;
+      let { doctor_id, patient_id } = req.query;
+      
+      if (req.user.role === ROLES.PATIENT) {
+        patient_id = req.user.patient_id;
+      } else if (req.user.role === ROLES.DOCTOR) {
+        doctor_id = req.user.doctor_id;
+      }
+      
+      let query = `
+        SELECT
+          w.*,
+          p.name as patient_name,
+          d.name as doctor_name,
+          d.specialization
+        FROM waitlist_entries w
+        JOIN patients p ON w.patient_id = p.id
+        JOIN doctors d ON w.doctor_id = d.id
+        WHERE 1=1
+      `;
+      const params = [];
+      let paramCount = 0;
+      
+      if (status) {
+        paramCount++;
+        query += ` AND w.status = $${paramCount}`;
+        params.push(status.toUpperCase());
+      }
+      
+      if (doctor_id) {
+        paramCount++;
+        query += ` AND w.doctor_id = $${paramCount}`;
+        params.push(doctor_id);
+      }
+      
+      if (patient_id) {
+        paramCount++;
+        query += ` AND w.patient_id = $${paramCount}`;
+        params.push(patient_id);
+      }
+      
+      query += ' ORDER BY w.doctor_id, w.created_at, w.id';
+      
+      const result = await pool.query(query, params);
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getEntryById(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const result = await pool.query(
+        `SELECT
+          w.*,
+          d.name as doctor_name,
+          (SELECT b.id FROM bookings b
+           WHERE b.waitlist_entry_id = w.id AND b.status = 'PENDING'
+           LIMIT 1) as offered_booking_id
+         FROM waitlist_entries w
+         JOIN doctors d ON w.doctor_id = d.id
+         WHERE w.id = $1`,
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('WAITLIST_ENTRY_NOT_FOUND', 'Waitlist entry not found');
+      }
+      
+      const entry = result.rows[0];
+      if (!canAccessPatient(req.user, entry.patient_id) && !canManageDoctor(req.user, entry.doctor_id)) {
+        throw forbidden();
+      }
+      
+      res.json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async cancelEntry(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const entry = await pool.query(
+        'SELECT patient_id FROM waitlist_entries WHERE id = $1',
+        [id]
+      );
+      
+      if (entry.rows.length === 0) {
+        throw new NotFoundError('WAITLIST_ENTRY_NOT_FOUND', 'Waitlist entry not found');
+      }
+      
+      if (!canAccessPatient(req.user, entry.rows[0].patient_id)) {
+        throw forbidden();
+      }
+      
+      const result = await waitlistService.cancelEntry(id, auditService.fromRequest(req));
+      
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WaitlistController();
@@ -0,0 +1,196 @@
+const pool = require('../config/database');
+const webhookService = require('../services/webhookService');
+const { NotFoundError } = require('../utils/errors');
+
+class WebhookController {
+  /**
+   * Register a subscriber. The signing secret is only returned here and on update.
+   */
+  async createSubscription(req, res, next) {
+    try {
+      const subscription = await webhookService.createSubscription(req.body);
+      
+      res.status(201).json({
+        success: true,
+        data: subscription,
+        message: 'Webhook subscription created - store the secret to verify X-Webhook-Signature'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getAllSubscriptions(req, res, next) {
+    try {
+      const result = await pool.query(
+        `SELECT
+          ws.id,
+          ws.url,
+          ws.event_types,
+          ws.description,
+          ws.is_active,
+          ws.created_at,
+          ws.updated_at,
+          COUNT(wd.id) FILTER (WHERE wd.status = 'DEAD') as dead_deliveries,
+          COUNT(wd.id) FILTER (WHERE wd.status IN ('PENDING', 'FAILED')) as pending_deliveries
+         FROM webhook_subscriptions ws
+         LEFT JOIN webhook_deliveries wd ON wd.subscription_id = ws.id
+         GROUP BY ws.id
+         ORDER BY ws.id`
+      );
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getSubscriptionById(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const result = await pool.query(
+        `SELECT id, url, event_types, description, is_active, created_at, updated_at
+         FROM webhook_subscriptions
+         WHERE id = $1`,
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('WEBHOOK_SUBSCRIPTION_NOT_FOUND', 'Webhook subscription not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async updateSubscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { url, secret, event_types, description, is_active } = req.body;
+      
+      const result = await pool.query(
+        `UPDATE webhook_subscriptions
+         SET url = COALESCE($1, url),
+             secret = COALESCE($2, secret),
+             event_types = COALESCE($3, event_types),
+             description = COALESCE($4, description),
+             is_active = COALESCE($5, is_active)
+         WHERE id = $6
+         RETURNING *`,
+        [url, secret, event_types, description, is_active, id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('WEBHOOK_SUBSCRIPTION_NOT_FOUND', 'Webhook subscription not found');
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async deleteSubscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const result = await pool.query(
+        'DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id',
+        [id]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('WEBHOOK_SUBSCRIPTION_NOT_FOUND', 'Webhook subscription not found');
+      }
+      
+      res.json({
+        success: true,
+        message: 'Webhook subscription deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async getDeliveries(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status } = req.query;
+      
+      let query = `
+        SELECT
+          wd.*,
+          e.event_type,
+          e.aggregate_id as booking_id
+        FROM webhook_deliveries wd
+        JOIN outbox_events e ON wd.event_id = e.id
+        WHERE wd.subscription_id = $1
+      `;
+      const params = [id];
+      
+      if (status) {
+        query += ' AND wd.status = $2';
+        params.push(status.toUpperCase());
+      }
+      
+      query += ' ORDER BY wd.created_at DESC, wd.id DESC LIMIT 100';
+      
+      const result = await pool.query(query, params);
+      
+      res.json({
+        success: true,
+        count: result.rows.length,
+        data: result.rows
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async replayDelivery(req, res, next) {
+    try {
+      const delivery = await webhookService.replayDelivery(req.params.id);
+      
+      if (!delivery) {
+        throw new NotFoundError('WEBHOOK_DELIVERY_NOT_FOUND', 'Webhook delivery not found');
+      }
+      
+      res.json({
+        success: true,
+        data: delivery,
+        message: 'Delivery queued for replay'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  async replayDeadDeliveries(req, res, next) {
+    try {
+      const requeued = await webhookService.replayDeadDeliveries(req.params.id);
+      
+      res.json({
+        success: true,
+        data: { requeued },
+        message: `${requeued} dead-lettered deliveries queued for replay`
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
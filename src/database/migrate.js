@@ -1,6 +1,88 @@
 const fs = require('fs');
 const path = require('path');
 const pool = require('../config/database');
+const { hashPassword } = require('../utils/password');
+const { CLINIC_TIMEZONE } = require('../utils/timezone');
+
+/**
+ * A doctor's slots may not overlap in time. Added once the ranges are backfilled;
+ * existing overlaps are listed and have to be resolved (delete or move one of
+ * each pair) before the migration can complete.
+ */
+async function addSlotOverlapConstraint(client) {
+  const existing = await client.query(
+    `SELECT 1 FROM pg_constraint WHERE conname = 'appointment_slots_no_overlap'`
+  );
+  if (existing.rows.length > 0) {
+    return;
+  }
+  
+  const overlaps = await client.query(
+    `SELECT a.doctor_id, a.id as slot_id, b.id as overlapping_slot_id
+     FROM appointment_slots a
+     JOIN appointment_slots b ON a.doctor_id = b.doctor_id AND a.id < b.id
+     WHERE tstzrange(a.starts_at, a.ends_at) && tstzrange(b.starts_at, b.ends_at)
+     ORDER BY a.doctor_id, a.id, b.id`
+  );
+  
+  if (overlaps.rows.length > 0) {
+    for (const row of overlaps.rows) {
+      console.error(`  Doctor ${row.doctor_id}: slot ${row.slot_id} overlaps slot ${row.overlapping_slot_id}`);
+    }
+    throw new Error(`${overlaps.rows.length} pairs of overlapping slots must be resolved before the overlap constraint can be added`);
+  }
+  
+  await client.query(
+    `ALTER TABLE appointment_slots
+       ADD CONSTRAINT appointment_slots_no_overlap
+       EXCLUDE USING gist (doctor_id WITH =, tstzrange(starts_at, ends_at) WITH &&)`
+  );
+  console.log('✓ Slot overlap constraint added');
+}
+
+/**
+ * Map each doctor's free-text specialization onto the taxonomy (by code, display
+ * name or synonym) as their primary specialization, and normalize the text to
+ * its display name. Doctors that already hold a specialization are left alone;
+ * unmatched values are listed so a synonym can be added or the doctor assigned
+ * by hand, and the migration is re-run.
+ */
+async function mapDoctorSpecializations(client) {
+  const mapped = await client.query(
+    `INSERT INTO doctor_specializations (doctor_id, specialization_id, is_primary)
+     SELECT d.id, match_specialization(d.specialization), TRUE
+     FROM doctors d
+     WHERE match_specialization(d.specialization) IS NOT NULL
+     AND NOT EXISTS (SELECT 1 FROM doctor_specializations ds WHERE ds.doctor_id = d.id)`
+  );
+  
+  await client.query(
+    `UPDATE doctors d
+     SET specialization = sp.name
+     FROM doctor_specializations ds
+     JOIN specializations sp ON ds.specialization_id = sp.id
+     WHERE ds.doctor_id = d.id AND ds.is_primary AND d.specialization IS DISTINCT FROM sp.name`
+  );
+  
+  if (mapped.rowCount > 0) {
+    console.log(`✓ ${mapped.rowCount} doctors mapped to the specialization taxonomy`);
+  }
+  
+  const unmatched = await client.query(
+    `SELECT d.specialization, array_agg(d.id ORDER BY d.id) as doctor_ids
+     FROM doctors d
+     WHERE NOT EXISTS (SELECT 1 FROM doctor_specializations ds WHERE ds.doctor_id = d.id)
+     GROUP BY d.specialization
+     ORDER BY d.specialization`
+  );
+  
+  if (unmatched.rows.length > 0) {
+    console.warn('! Specializations with no match in the taxonomy (add a synonym or assign these doctors):');
+    for (const row of unmatched.rows) {
+      console.warn(`  "${row.specialization}": doctors ${row.doctor_ids.join(', ')}`);
+    }
+  }
+}
 
 async function migrate() {
   const client = await pool.connect();
@@ -15,6 +97,30 @@ async function migrate() {
     
     console.log('✓ Database schema created successfully');
     
+    // Pin pre-timezone slots to their doctor's (or the clinic's) timezone; the trigger fills starts_at
+    const backfill = await client.query(
+      `UPDATE appointment_slots s
+       SET timezone = COALESCE(d.timezone, $1)
+       FROM doctors d
+       WHERE s.doctor_id = d.id AND s.timezone IS NULL`,
+      [CLINIC_TIMEZONE]
+    );
+    // Slots from before ends_at existed: touching duration_minutes makes the trigger fill it
+    await client.query(
+      'UPDATE appointment_slots SET duration_minutes = duration_minutes WHERE ends_at IS NULL'
+    );
+    await client.query(
+      `ALTER TABLE appointment_slots
+         ALTER COLUMN timezone SET NOT NULL,
+         ALTER COLUMN starts_at SET NOT NULL,
+         ALTER COLUMN ends_at SET NOT NULL`
+    );
+    if (backfill.rowCount > 0) {
+      console.log(`✓ ${backfill.rowCount} existing slots assigned timezone ${CLINIC_TIMEZONE} (or their doctor's)`);
+    }
+    
+    await addSlotOverlapConstraint(client);
+    
     // Insert sample doctors
     const sampleDoctors = [
       { name: 'Dr. Sarah Johnson', specialization: 'Cardiologist', email: 'sarah.johnson@hospital.com', phone: '+1-555-0101' },
@@ -32,6 +138,22 @@ async function migrate() {
     }
     
     console.log('✓ Sample doctors inserted');
+    
+    await mapDoctorSpecializations(client);
+    
+    // Bootstrap the first admin account so users can be managed through the API
+    if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+      const result = await client.query(
+        `INSERT INTO users (email, password_hash, role)
+         VALUES ($1, $2, 'ADMIN')
+         ON CONFLICT ((LOWER(email))) DO NOTHING
+         RETURNING id`,
+        [process.env.ADMIN_EMAIL, await hashPassword(process.env.ADMIN_PASSWORD)]
+      );
+      if (result.rows.length > 0) {
+        console.log(`✓ Admin user ${process.env.ADMIN_EMAIL} created`);
+      }
+    }
     console.log('Migration completed successfully!');
     
   } catch (error) {
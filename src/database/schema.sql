@@ -1,5 +1,11 @@
 -- Doctor Appointment Booking System Schema
 
+-- Lets the slot overlap constraint combine doctor_id equality with range overlap
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Trigram similarity for fuzzy doctor search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Doctors Table
 CREATE TABLE IF NOT EXISTS doctors (
     id SERIAL PRIMARY KEY,
@@ -11,6 +17,74 @@ CREATE TABLE IF NOT EXISTS doctors (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Patients Table
+CREATE TABLE IF NOT EXISTS patients (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    date_of_birth DATE,
+    preferred_contact VARCHAR(10) DEFAULT 'EMAIL' CHECK (preferred_contact IN ('EMAIL', 'SMS', 'PHONE')),
+    allow_email BOOLEAN DEFAULT TRUE,
+    allow_sms BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Patient emails are unique regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_email ON patients(LOWER(email));
+
+-- Users Table (login accounts)
+-- DOCTOR accounts are linked to a doctor, PATIENT accounts to a patient
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('ADMIN', 'DOCTOR', 'PATIENT')),
+    doctor_id INTEGER UNIQUE REFERENCES doctors(id) ON DELETE CASCADE,
+    patient_id INTEGER UNIQUE REFERENCES patients(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (role <> 'DOCTOR' OR doctor_id IS NOT NULL),
+    CHECK (role <> 'PATIENT' OR patient_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users(LOWER(email));
+
+-- Weekly Availability Templates
+-- days_of_week uses PostgreSQL DOW numbering (0 = Sunday ... 6 = Saturday)
+CREATE TABLE IF NOT EXISTS availability_templates (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    days_of_week INTEGER[] NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    duration_minutes INTEGER DEFAULT 30,
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_until DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time),
+    CHECK (effective_until IS NULL OR effective_until >= effective_from)
+);
+
+-- Waitlist for fully booked doctors (served first-come-first-served)
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    preferred_start_time TIME,
+    preferred_end_time TIME,
+    status VARCHAR(20) DEFAULT 'WAITING' CHECK (status IN ('WAITING', 'OFFERED', 'BOOKED', 'CANCELLED')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (date_to >= date_from),
+    CHECK (preferred_end_time IS NULL OR preferred_start_time IS NULL OR preferred_end_time > preferred_start_time)
+);
+
 -- Appointment Slots Table
 CREATE TABLE IF NOT EXISTS appointment_slots (
     id SERIAL PRIMARY KEY,
@@ -24,13 +98,204 @@ CREATE TABLE IF NOT EXISTS appointment_slots (
     UNIQUE(doctor_id, slot_date, slot_time)
 );
 
+-- Clinics / locations. Coordinates feed the nearest-location search.
+CREATE TABLE IF NOT EXISTS locations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    address TEXT,
+    latitude NUMERIC(9, 6) CHECK (latitude BETWEEN -90 AND 90),
+    longitude NUMERIC(9, 6) CHECK (longitude BETWEEN -180 AND 180),
+    timezone VARCHAR(64),
+    phone VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Weekly opening hours; a location without any rows has no restriction
+CREATE TABLE IF NOT EXISTS location_hours (
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL,
+    PRIMARY KEY (location_id, day_of_week, open_time),
+    CHECK (close_time > open_time)
+);
+
+-- Which locations each doctor practises at
+CREATE TABLE IF NOT EXISTS doctor_locations (
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (doctor_id, location_id)
+);
+
+-- Secret tokens for subscribable calendar feeds (NULL until a feed is enabled)
+ALTER TABLE doctors
+    ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE;
+
+ALTER TABLE patients
+    ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE;
+
+-- IANA timezone the doctor's schedule is kept in (NULL = CLINIC_TIMEZONE)
+ALTER TABLE doctors
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+-- Full-text search document: name outranks specialization. The 'simple'
+-- configuration keeps names unstemmed, so prefix queries match as typed.
+ALTER TABLE doctors
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(specialization, '')), 'B')
+    ) STORED;
+
+-- Specialization taxonomy. doctors.specialization keeps the display name of
+-- the doctor's primary specialization for existing responses and search.
+CREATE TABLE IF NOT EXISTS specializations (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL CHECK (code ~ '^[a-z0-9_]+$'),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_specializations_name ON specializations(LOWER(name));
+
+-- A doctor's specialties; exactly one is primary once any are assigned
+CREATE TABLE IF NOT EXISTS doctor_specializations (
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    specialization_id INTEGER NOT NULL REFERENCES specializations(id) ON DELETE RESTRICT,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    PRIMARY KEY (doctor_id, specialization_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_doctor_specializations_primary
+    ON doctor_specializations(doctor_id) WHERE is_primary;
+
+-- Synonyms were first keyed to free-text specializations; they only held seed
+-- data, so that shape is dropped and reseeded against the taxonomy below
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'specialization_synonyms' AND column_name = 'specialization'
+    ) THEN
+        DROP TABLE specialization_synonyms;
+    END IF;
+END $$;
+
+-- Lay terms and practitioner titles, mapped to the specialization they mean.
+-- They drive doctor search and the mapping of free-text specializations.
+CREATE TABLE IF NOT EXISTS specialization_synonyms (
+    term VARCHAR(100) PRIMARY KEY CHECK (term = LOWER(term)),
+    specialization_id INTEGER NOT NULL REFERENCES specializations(id) ON DELETE CASCADE
+);
+
+INSERT INTO specializations (code, name) VALUES
+    ('cardiology', 'Cardiology'),
+    ('cardiac_surgery', 'Cardiac Surgery'),
+    ('neurology', 'Neurology'),
+    ('pediatrics', 'Pediatrics'),
+    ('orthopedics', 'Orthopedics'),
+    ('dermatology', 'Dermatology'),
+    ('general_practice', 'General Practice'),
+    ('physiotherapy', 'Physiotherapy'),
+    ('psychiatry', 'Psychiatry'),
+    ('ophthalmology', 'Ophthalmology'),
+    ('obstetrics_gynecology', 'Obstetrics & Gynecology'),
+    ('ent', 'Ear, Nose & Throat')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO specialization_synonyms (term, specialization_id)
+SELECT v.term, sp.id
+FROM (VALUES
+    ('cardiologist', 'cardiology'),
+    ('heart', 'cardiology'),
+    ('cardiac', 'cardiology'),
+    ('cardiac surgeon', 'cardiac_surgery'),
+    ('heart surgeon', 'cardiac_surgery'),
+    ('neurologist', 'neurology'),
+    ('brain', 'neurology'),
+    ('nerve', 'neurology'),
+    ('pediatrician', 'pediatrics'),
+    ('paediatrician', 'pediatrics'),
+    ('paediatrics', 'pediatrics'),
+    ('child', 'pediatrics'),
+    ('children', 'pediatrics'),
+    ('kids', 'pediatrics'),
+    ('orthopedic surgeon', 'orthopedics'),
+    ('orthopaedic surgeon', 'orthopedics'),
+    ('orthopedist', 'orthopedics'),
+    ('orthopaedics', 'orthopedics'),
+    ('bone', 'orthopedics'),
+    ('joint', 'orthopedics'),
+    ('fracture', 'orthopedics'),
+    ('dermatologist', 'dermatology'),
+    ('skin', 'dermatology'),
+    ('acne', 'dermatology'),
+    ('rash', 'dermatology'),
+    ('gp', 'general_practice'),
+    ('general practitioner', 'general_practice'),
+    ('family doctor', 'general_practice'),
+    ('physiotherapist', 'physiotherapy'),
+    ('physio', 'physiotherapy'),
+    ('physical therapy', 'physiotherapy'),
+    ('psychiatrist', 'psychiatry'),
+    ('mental health', 'psychiatry'),
+    ('ophthalmologist', 'ophthalmology'),
+    ('eye', 'ophthalmology'),
+    ('eyes', 'ophthalmology'),
+    ('gynecologist', 'obstetrics_gynecology'),
+    ('gynaecologist', 'obstetrics_gynecology'),
+    ('obstetrician', 'obstetrics_gynecology'),
+    ('pregnancy', 'obstetrics_gynecology'),
+    ('ent specialist', 'ent'),
+    ('ear', 'ent'),
+    ('throat', 'ent')
+) AS v(term, code)
+JOIN specializations sp ON sp.code = v.code
+ON CONFLICT (term) DO NOTHING;
+
+-- Resolve a specialization label (code, display name or synonym, any case) to
+-- its taxonomy ID; NULL when nothing matches
+CREATE OR REPLACE FUNCTION match_specialization(label TEXT)
+RETURNS INTEGER AS $$
+    SELECT id FROM (
+        SELECT id, 1 as priority FROM specializations
+        WHERE code = LOWER(TRIM(label)) OR LOWER(name) = LOWER(TRIM(label))
+        UNION ALL
+        SELECT specialization_id, 2 FROM specialization_synonyms
+        WHERE term = LOWER(TRIM(label))
+    ) matches
+    ORDER BY priority
+    LIMIT 1
+$$ LANGUAGE sql STABLE;
+
+-- Slots keep their local wall time (slot_date, slot_time) in `timezone`;
+-- starts_at and ends_at are the absolute instants, derived by trigger.
+-- `npm run migrate` backfills them for existing slots, makes them NOT NULL and
+-- adds the constraint that a doctor's slots never overlap.
+ALTER TABLE appointment_slots
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+
+-- Slots generated from an availability template keep a link to it
+ALTER TABLE appointment_slots
+    ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES availability_templates(id) ON DELETE SET NULL;
+
+-- Where the appointment takes place (NULL for slots created before locations existed)
+ALTER TABLE appointment_slots
+    ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id);
+
+ALTER TABLE availability_templates
+    ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations(id);
+
 -- Bookings Table with Concurrency Control
 CREATE TABLE IF NOT EXISTS bookings (
     id SERIAL PRIMARY KEY,
     slot_id INTEGER NOT NULL REFERENCES appointment_slots(id) ON DELETE CASCADE,
-    patient_name VARCHAR(255) NOT NULL,
-    patient_email VARCHAR(255) NOT NULL,
-    patient_phone VARCHAR(20),
+    patient_id INTEGER NOT NULL REFERENCES patients(id),
     status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'CONFIRMED', 'FAILED', 'CANCELLED')),
     booking_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     confirmed_at TIMESTAMP,
@@ -41,12 +306,295 @@ CREATE TABLE IF NOT EXISTS bookings (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- PENDING bookings are holds that must be confirmed before expires_at
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+-- Rescheduled bookings keep a link to the slot they were moved from
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS previous_slot_id INTEGER REFERENCES appointment_slots(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS rescheduled_at TIMESTAMP;
+
+-- Waitlist offers are PENDING bookings linked to the entry they were offered to
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS waitlist_entry_id INTEGER REFERENCES waitlist_entries(id) ON DELETE SET NULL;
+
+-- Why a booking was cancelled by the clinic (e.g. doctor time off)
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- Appointment types a doctor offers; longer types take several consecutive slots
+CREATE TABLE IF NOT EXISTS appointment_types (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes BETWEEN 5 AND 480),
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (doctor_id, name)
+);
+
+-- duration_minutes snapshots the type's length; NULL means the start slot's duration
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS appointment_type_id INTEGER REFERENCES appointment_types(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
+
+-- Every slot a booking holds; slot_id is the first of them
+CREATE TABLE IF NOT EXISTS booking_slots (
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    slot_id INTEGER NOT NULL REFERENCES appointment_slots(id) ON DELETE CASCADE,
+    PRIMARY KEY (booking_id, slot_id)
+);
+
+INSERT INTO booking_slots (booking_id, slot_id)
+SELECT id, slot_id FROM bookings
+ON CONFLICT DO NOTHING;
+
+-- Group slots (physiotherapy classes, vaccination drives) seat up to `capacity`
+-- patients. booked_count is the number of active bookings holding the slot;
+-- is_available means a seat is free and is derived from the two by trigger.
+-- Counts are taken from existing bookings when the columns are first added.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'appointment_slots' AND column_name = 'booked_count'
+    ) THEN
+        ALTER TABLE appointment_slots
+            ADD COLUMN capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1),
+            ADD COLUMN booked_count INTEGER NOT NULL DEFAULT 0 CHECK (booked_count >= 0);
+
+        UPDATE appointment_slots s
+        SET booked_count = c.booked
+        FROM (
+            SELECT bs.slot_id, COUNT(*) as booked
+            FROM booking_slots bs
+            JOIN bookings b ON bs.booking_id = b.id
+            WHERE b.status IN ('PENDING', 'CONFIRMED')
+            GROUP BY bs.slot_id
+        ) c
+        WHERE s.id = c.slot_id;
+
+        ALTER TABLE appointment_slots
+            ADD CONSTRAINT appointment_slots_seats_check CHECK (booked_count <= capacity);
+    END IF;
+END $$;
+
+ALTER TABLE availability_templates
+    ADD COLUMN IF NOT EXISTS capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1);
+
+-- Soft delete: deactivated doctors and deleted slots keep their rows and booking
+-- history but are hidden from listings and cannot be booked (see set_slot_availability).
+-- A deleted slot keeps its time, so it is restored rather than created again.
+ALTER TABLE doctors
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+ALTER TABLE appointment_slots
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Optimistic concurrency: every visible change bumps a row's version (see bump_version),
+-- which is served as its ETag and checked against If-Match
+ALTER TABLE doctors
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE appointment_slots
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+UPDATE bookings SET version = 1 WHERE version IS NULL;
+
+ALTER TABLE bookings
+    ALTER COLUMN version SET NOT NULL;
+
+-- Migrate free-text patient details on legacy bookings into patient records.
+-- Bookings are de-duplicated by email (case-insensitive); the most recent
+-- booking's name and phone win. Skipped once the legacy columns are gone.
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS patient_id INTEGER REFERENCES patients(id);
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'bookings' AND column_name = 'patient_email'
+    ) THEN
+        INSERT INTO patients (name, email, phone)
+        SELECT DISTINCT ON (LOWER(patient_email)) patient_name, patient_email, patient_phone
+        FROM bookings
+        ORDER BY LOWER(patient_email), created_at DESC
+        ON CONFLICT ((LOWER(email))) DO NOTHING;
+
+        UPDATE bookings b
+        SET patient_id = p.id
+        FROM patients p
+        WHERE b.patient_id IS NULL
+        AND LOWER(b.patient_email) = LOWER(p.email);
+
+        ALTER TABLE bookings ALTER COLUMN patient_id SET NOT NULL;
+        ALTER TABLE bookings DROP COLUMN patient_name;
+        ALTER TABLE bookings DROP COLUMN patient_email;
+        ALTER TABLE bookings DROP COLUMN patient_phone;
+    END IF;
+END $$;
+
+-- Notification deliveries (one row per message, retried on failure)
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('EMAIL', 'SMS')),
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255),
+    body TEXT NOT NULL,
+    status VARCHAR(10) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'FAILED')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reminders already sent, one row per booking and lead time.
+-- The primary key makes claiming a reminder atomic across server instances.
+CREATE TABLE IF NOT EXISTS booking_reminders (
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    lead_minutes INTEGER NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (booking_id, lead_minutes)
+);
+
+-- Webhook subscribers for booking events
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    event_types TEXT[] NOT NULL DEFAULT '{}',
+    description VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Transactional outbox: written in the same transaction as the booking change
+CREATE TABLE IF NOT EXISTS outbox_events (
+    id BIGSERIAL PRIMARY KEY,
+    event_type VARCHAR(50) NOT NULL,
+    aggregate_type VARCHAR(50) NOT NULL,
+    aggregate_id INTEGER NOT NULL,
+    payload JSONB NOT NULL,
+    dispatched_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One delivery per event and subscriber; DEAD once the retry budget is spent
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    event_id BIGINT NOT NULL REFERENCES outbox_events(id) ON DELETE CASCADE,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    status VARCHAR(10) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERED', 'FAILED', 'DEAD')),
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, subscription_id)
+);
+
+-- Delivery jobs claim rows until locked_until and send outside any transaction;
+-- a claim left behind by a crashed run lapses and the row is picked up again
+ALTER TABLE notifications
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+ALTER TABLE webhook_deliveries
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- Periods a doctor is away; slots overlapping them cannot be created or booked
+CREATE TABLE IF NOT EXISTS doctor_time_off (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER NOT NULL REFERENCES doctors(id) ON DELETE CASCADE,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+-- Clinic holidays, by local date; location_id NULL closes every location
+CREATE TABLE IF NOT EXISTS holidays (
+    id SERIAL PRIMARY KEY,
+    holiday_date DATE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    location_id INTEGER REFERENCES locations(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Append-only history of booking, slot and doctor changes, written in the same
+-- transaction as each change. actor_role SYSTEM marks background jobs; the actor
+-- is not a foreign key so entries outlive deleted users.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('booking', 'slot', 'doctor')),
+    entity_id INTEGER NOT NULL,
+    action VARCHAR(30) NOT NULL,
+    actor_user_id INTEGER,
+    actor_role VARCHAR(20) NOT NULL,
+    request_id VARCHAR(100),
+    ip_address VARCHAR(45),
+    before_state JSONB,
+    after_state JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- First response to each Idempotency-Key, per user. status_code is NULL while the
+-- request is still running; expires_at is a short lock until then and the replay TTL after.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status_code INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    UNIQUE (user_id, idempotency_key)
+);
+
 -- Indexes for Performance
 CREATE INDEX IF NOT EXISTS idx_slots_doctor_date ON appointment_slots(doctor_id, slot_date);
+CREATE INDEX IF NOT EXISTS idx_doctors_search ON doctors USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_doctors_name_trgm ON doctors USING gin(name gin_trgm_ops);
+-- Fuzzy specialization matching runs against the taxonomy instead
+DROP INDEX IF EXISTS idx_doctors_specialization_trgm;
+CREATE INDEX IF NOT EXISTS idx_specializations_name_trgm ON specializations USING gin(name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_doctor_specializations_specialization ON doctor_specializations(specialization_id);
 CREATE INDEX IF NOT EXISTS idx_slots_available ON appointment_slots(is_available) WHERE is_available = TRUE;
 CREATE INDEX IF NOT EXISTS idx_bookings_status ON bookings(status);
 CREATE INDEX IF NOT EXISTS idx_bookings_slot ON bookings(slot_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_patient ON bookings(patient_id);
+CREATE INDEX IF NOT EXISTS idx_slots_template ON appointment_slots(template_id, slot_date);
+CREATE INDEX IF NOT EXISTS idx_templates_doctor ON availability_templates(doctor_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_pending ON bookings(status, booking_time) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_waitlist_queue ON waitlist_entries(doctor_id, created_at) WHERE status = 'WAITING';
+CREATE INDEX IF NOT EXISTS idx_bookings_waitlist ON bookings(waitlist_entry_id) WHERE waitlist_entry_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_booking ON notifications(booking_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_retry ON notifications(next_attempt_at) WHERE status = 'FAILED';
+CREATE INDEX IF NOT EXISTS idx_slots_starts_at ON appointment_slots(starts_at);
+CREATE INDEX IF NOT EXISTS idx_slots_location ON appointment_slots(location_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_doctor_locations_location ON doctor_locations(location_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_hold_expiry ON bookings(expires_at) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_outbox_undispatched ON outbox_events(id) WHERE dispatched_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('PENDING', 'FAILED');
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_time_off_doctor ON doctor_time_off(doctor_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_booking_slots_slot ON booking_slots(slot_id);
+CREATE INDEX IF NOT EXISTS idx_holidays_date ON holidays(holiday_date);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expiry ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, id);
+CREATE INDEX IF NOT EXISTS idx_doctors_deleted ON doctors(deleted_at) WHERE deleted_at IS NOT NULL;
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -57,12 +605,143 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
--- Triggers for updated_at
+-- Bumps a versioned row's version when a user-visible column changes. The
+-- trigger arguments name derived columns (maintained by other triggers or
+-- generated) and hidden ones (e.g. a doctor's calendar token) whose changes
+-- alone do not make a new version, so no-op touches such as the availability
+-- refresh leave ETags intact. An update may also bump the version itself
+-- (version + 1) for a change stored in another table, e.g. a doctor's
+-- specializations.
+CREATE OR REPLACE FUNCTION bump_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.version IS DISTINCT FROM OLD.version
+       OR (to_jsonb(NEW) - TG_ARGV - 'version') IS DISTINCT FROM (to_jsonb(OLD) - TG_ARGV - 'version') THEN
+        NEW.version = OLD.version + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Audit entries are never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Derive a slot's absolute start from its local wall time and timezone
+CREATE OR REPLACE FUNCTION set_slot_starts_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.timezone IS NOT NULL THEN
+        NEW.starts_at = (NEW.slot_date + NEW.slot_time) AT TIME ZONE NEW.timezone;
+        NEW.ends_at = NEW.starts_at + make_interval(mins => NEW.duration_minutes);
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_slot_starts_at ON appointment_slots;
+CREATE TRIGGER set_slot_starts_at BEFORE INSERT OR UPDATE OF slot_date, slot_time, timezone, duration_minutes ON appointment_slots
+    FOR EACH ROW EXECUTE FUNCTION set_slot_starts_at();
+
+-- A slot is available while it has a free seat, is not deleted and its doctor is active
+CREATE OR REPLACE FUNCTION set_slot_availability()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.is_available = NEW.booked_count < NEW.capacity
+        AND NEW.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM doctors WHERE id = NEW.doctor_id AND deleted_at IS NOT NULL);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_slot_availability ON appointment_slots;
+CREATE TRIGGER set_slot_availability BEFORE INSERT OR UPDATE OF booked_count, capacity, deleted_at ON appointment_slots
+    FOR EACH ROW EXECUTE FUNCTION set_slot_availability();
+
+-- Deactivating or restoring a doctor re-derives the availability of their slots
+CREATE OR REPLACE FUNCTION refresh_doctor_slot_availability()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE appointment_slots SET booked_count = booked_count WHERE doctor_id = NEW.id;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS refresh_doctor_slot_availability ON doctors;
+CREATE TRIGGER refresh_doctor_slot_availability AFTER UPDATE OF deleted_at ON doctors
+    FOR EACH ROW WHEN (OLD.deleted_at IS DISTINCT FROM NEW.deleted_at)
+    EXECUTE FUNCTION refresh_doctor_slot_availability();
+
+-- Version triggers (dropped first so the schema can be re-applied)
+DROP TRIGGER IF EXISTS bump_doctors_version ON doctors;
+CREATE TRIGGER bump_doctors_version BEFORE UPDATE ON doctors
+    FOR EACH ROW EXECUTE FUNCTION bump_version('updated_at', 'search_vector', 'calendar_token');
+
+DROP TRIGGER IF EXISTS bump_slots_version ON appointment_slots;
+CREATE TRIGGER bump_slots_version BEFORE UPDATE ON appointment_slots
+    FOR EACH ROW EXECUTE FUNCTION bump_version('updated_at', 'is_available', 'starts_at', 'ends_at');
+
+DROP TRIGGER IF EXISTS bump_bookings_version ON bookings;
+CREATE TRIGGER bump_bookings_version BEFORE UPDATE ON bookings
+    FOR EACH ROW EXECUTE FUNCTION bump_version('updated_at');
+
+-- Triggers for updated_at (dropped first so the schema can be re-applied)
+DROP TRIGGER IF EXISTS update_specializations_updated_at ON specializations;
+CREATE TRIGGER update_specializations_updated_at BEFORE UPDATE ON specializations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_doctors_updated_at ON doctors;
 CREATE TRIGGER update_doctors_updated_at BEFORE UPDATE ON doctors
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_slots_updated_at ON appointment_slots;
 CREATE TRIGGER update_slots_updated_at BEFORE UPDATE ON appointment_slots
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_bookings_updated_at ON bookings;
 CREATE TRIGGER update_bookings_updated_at BEFORE UPDATE ON bookings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_patients_updated_at ON patients;
+CREATE TRIGGER update_patients_updated_at BEFORE UPDATE ON patients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_waitlist_updated_at ON waitlist_entries;
+CREATE TRIGGER update_waitlist_updated_at BEFORE UPDATE ON waitlist_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_notifications_updated_at ON notifications;
+CREATE TRIGGER update_notifications_updated_at BEFORE UPDATE ON notifications
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_templates_updated_at ON availability_templates;
+CREATE TRIGGER update_templates_updated_at BEFORE UPDATE ON availability_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_appointment_types_updated_at ON appointment_types;
+CREATE TRIGGER update_appointment_types_updated_at BEFORE UPDATE ON appointment_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_locations_updated_at ON locations;
+CREATE TRIGGER update_locations_updated_at BEFORE UPDATE ON locations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at BEFORE UPDATE ON webhook_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER update_webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
@@ -0,0 +1,20 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process event bus for booking lifecycle events
+ * Events are emitted after the transaction that caused them has committed,
+ * with a payload of { bookingId } plus any event-specific fields.
+ */
+const BOOKING_EVENTS = {
+  CREATED: 'booking.created',
+  CONFIRMED: 'booking.confirmed',
+  CANCELLED: 'booking.cancelled',
+  EXPIRED: 'booking.expired',
+  RESCHEDULED: 'booking.rescheduled',
+  WAITLIST_OFFERED: 'waitlist.offered',
+  REMINDER: 'booking.reminder'
+};
+
+const bookingEvents = new EventEmitter();
+
+module.exports = { bookingEvents, BOOKING_EVENTS };
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const reminderService = require('../services/reminderService');
+
+/**
+ * Cron job to send appointment reminders
+ * Runs every minute; lead times come from REMINDER_LEAD_TIMES (default "24h,1h")
+ */
+function startAppointmentReminderJob() {
+  // Run every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await reminderService.sendDueReminders();
+      if (result.sent > 0) {
+        console.log(`[${new Date().toISOString()}] ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Error in appointment reminder job:', error);
+    }
+  });
+  
+  console.log(`✓ Appointment reminder job started (lead times: ${reminderService.leadTimes.map(m => `${m}m`).join(', ')})`);
+}
+
+module.exports = { startAppointmentReminderJob };
@@ -3,7 +3,7 @@ const bookingService = require('../services/bookingService');
 
 /**
  * Cron job to expire pending bookings
- * Runs every minute to check for bookings that have been pending for more than 2 minutes
+ * Runs every minute to release PENDING holds that were not confirmed before expires_at
  */
 function startBookingExpiryJob() {
   const timeoutMinutes = parseInt(process.env.BOOKING_TIMEOUT_MINUTES) || 2;
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const idempotencyService = require('../services/idempotencyService');
+
+/**
+ * Cron job to purge stored idempotent responses
+ * Runs hourly; responses are kept for IDEMPOTENCY_TTL_HOURS (default 24)
+ */
+function startIdempotencyCleanupJob() {
+  // Run at the start of every hour
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const result = await idempotencyService.purgeExpired();
+      if (result.purged > 0) {
+        console.log(`[${new Date().toISOString()}] ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Error in idempotency cleanup job:', error);
+    }
+  });
+  
+  console.log('✓ Idempotency key cleanup job started');
+}
+
+module.exports = { startIdempotencyCleanupJob };
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Cron job to retry failed notification deliveries
+ * Runs every minute; each failure backs off exponentially until NOTIFICATION_MAX_ATTEMPTS
+ */
+function startNotificationRetryJob() {
+  // Run every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await notificationService.retryFailedNotifications();
+      if (result.retried > 0) {
+        console.log(`[${new Date().toISOString()}] ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Error in notification retry job:', error);
+    }
+  });
+  
+  console.log('✓ Notification retry job started');
+}
+
+module.exports = { startNotificationRetryJob };
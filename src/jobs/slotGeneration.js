@@ -0,0 +1,26 @@
+const cron = require('node-cron');
+const availabilityService = require('../services/availabilityService');
+
+/**
+ * Cron job to keep template-generated slots filled for the rolling horizon
+ * Runs daily so each active template always covers the next N weeks
+ */
+function startSlotGenerationJob() {
+  const horizonWeeks = parseInt(process.env.SLOT_GENERATION_WEEKS) || 8;
+  
+  // Run every day at 01:00
+  cron.schedule('0 1 * * *', async () => {
+    try {
+      const result = await availabilityService.generateAllTemplates(horizonWeeks);
+      if (result.generated > 0) {
+        console.log(`[${new Date().toISOString()}] ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Error in slot generation job:', error);
+    }
+  });
+  
+  console.log(`✓ Slot generation job started (horizon: ${horizonWeeks} weeks)`);
+}
+
+module.exports = { startSlotGenerationJob };
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const webhookService = require('../services/webhookService');
+
+/**
+ * Cron job to deliver outbox events to webhook subscribers
+ * Runs every 15 seconds; failed deliveries back off exponentially until WEBHOOK_MAX_ATTEMPTS
+ */
+function startWebhookDispatcherJob() {
+  // Run every 15 seconds
+  cron.schedule('*/15 * * * * *', async () => {
+    try {
+      const result = await webhookService.dispatch();
+      if (result.events > 0 || result.attempted > 0) {
+        console.log(`[${new Date().toISOString()}] ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Error in webhook dispatcher job:', error);
+    }
+  });
+  
+  console.log('✓ Webhook dispatcher job started');
+}
+
+module.exports = { startWebhookDispatcherJob };
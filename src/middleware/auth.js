@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+require('dotenv').config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+
+// Without a signing key no token can be issued or verified, so refuse to start
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET is not set - configure it before starting the server');
+}
+
+const ROLES = {
+  ADMIN: 'ADMIN',
+  DOCTOR: 'DOCTOR',
+  PATIENT: 'PATIENT'
+};
+
+/**
+ * Issue a signed token carrying the user's role and linked doctor/patient
+ */
+const signToken = (user) => {
+  return jwt.sign(
+    {
+      role: user.role,
+      doctor_id: user.doctor_id,
+      patient_id: user.patient_id
+    },
+    JWT_SECRET,
+    { subject: String(user.id), expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+/**
+ * Require a valid Bearer token and expose its claims as req.user
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('AUTHENTICATION_REQUIRED', 'Authentication required'));
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = {
+      id: parseInt(payload.sub),
+      role: payload.role,
+      doctor_id: payload.doctor_id || null,
+      patient_id: payload.patient_id || null
+    };
+    next();
+  } catch (error) {
+    return next(error.name === 'TokenExpiredError'
+      ? new UnauthorizedError('TOKEN_EXPIRED', 'Token has expired')
+      : new UnauthorizedError('INVALID_TOKEN', 'Invalid token'));
+  }
+};
+
+/**
+ * Restrict a route to the given roles (use after authenticate)
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(forbidden());
+  }
+  next();
+};
+
+/**
+ * Admins manage every doctor's schedule; doctors only their own
+ */
+const canManageDoctor = (user, doctorId) => {
+  return user.role === ROLES.ADMIN ||
+    (user.role === ROLES.DOCTOR && user.doctor_id === parseInt(doctorId));
+};
+
+/**
+ * Admins see every patient; patients only themselves
+ */
+const canAccessPatient = (user, patientId) => {
+  return user.role === ROLES.ADMIN ||
+    (user.role === ROLES.PATIENT && user.patient_id === parseInt(patientId));
+};
+
+/**
+ * Admins see every booking, patients their own and doctors those on their slots
+ */
+const canAccessBooking = (user, booking) => {
+  return canAccessPatient(user, booking.patient_id) || canManageDoctor(user, booking.doctor_id);
+};
+
+/**
+ * The error for a user whose role or ownership does not allow the request
+ */
+const forbidden = () => new ForbiddenError('FORBIDDEN', 'Insufficient permissions');
+
+module.exports = {
+  ROLES,
+  signToken,
+  authenticate,
+  authorize,
+  canManageDoctor,
+  canAccessPatient,
+  canAccessBooking,
+  forbidden
+};
@@ -1,38 +1,65 @@
-const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
+const { STATUS_CODES } = require('http');
+const { DomainError } = require('../utils/errors');
 
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
+// PostgreSQL errors a client can cause, by SQLSTATE
+const PG_PROBLEMS = {
+  '23505': { status: 409, code: 'DUPLICATE_ENTRY', detail: 'This record already exists' }, // unique violation
+  '23P01': { status: 409, code: 'CONFLICTING_ENTRY', detail: 'This record overlaps an existing one' }, // exclusion violation (e.g. overlapping slots)
+  '23503': { status: 400, code: 'INVALID_REFERENCE', detail: 'Referenced record does not exist' }, // foreign key violation
+  '23514': { status: 400, code: 'CONSTRAINT_VIOLATION', detail: 'Request violates a data constraint' }, // check violation
+  '40001': { status: 409, code: 'TRANSACTION_CONFLICT', detail: 'Conflicting concurrent request - please try again' }, // serialization failure
+  '40P01': { status: 409, code: 'TRANSACTION_CONFLICT', detail: 'Conflicting concurrent request - please try again' } // deadlock
+};
+
+/**
+ * Send an RFC 7807 problem details body. `type` names the problem by its code
+ * (see ERROR_CODES); `success` and `error` are kept for existing clients.
+ */
+const sendProblem = (req, res, { status, code, detail, ...extensions }) => {
+  res.status(status)
+    .type('application/problem+json')
+    .json({
+      type: `/problems/${code.toLowerCase().replace(/_/g, '-')}`,
+      title: STATUS_CODES[status],
+      status,
+      detail,
+      instance: req.originalUrl,
+      code,
+      request_id: req.id,
+      ...extensions,
       success: false,
-      error: 'Validation Error',
-      details: err.details || err.message
+      error: detail
     });
+};
+
+const errorHandler = (err, req, res, next) => {
+  if (err instanceof DomainError) {
+    return sendProblem(req, res, { ...err.extensions, status: err.statusCode, code: err.code, detail: err.message });
   }
 
-  if (err.code === '23505') { // PostgreSQL unique violation
-    return res.status(409).json({
-      success: false,
-      error: 'Duplicate Entry',
-      message: 'This record already exists'
+  console.error('Error:', err);
+
+  if (err.name === 'ValidationError') {
+    return sendProblem(req, res, {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      detail: 'Validation Error',
+      details: err.details || err.message
     });
   }
 
-  if (err.code === '23503') { // PostgreSQL foreign key violation
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid Reference',
-      message: 'Referenced record does not exist'
-    });
+  if (PG_PROBLEMS[err.code]) {
+    return sendProblem(req, res, PG_PROBLEMS[err.code]);
   }
 
   const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
 
-  res.status(statusCode).json({
-    success: false,
-    error: message,
+  sendProblem(req, res, {
+    status: statusCode,
+    code: statusCode < 500 ? 'INVALID_REQUEST' : 'INTERNAL_ERROR',
+    detail: err.message || 'Internal Server Error',
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
 
-module.exports = errorHandler;
\ No newline at end of file
+module.exports = errorHandler;
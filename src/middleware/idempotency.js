@@ -0,0 +1,65 @@
+const idempotencyService = require('../services/idempotencyService');
+const { InvalidRequestError, ConflictError, BusinessRuleViolationError } = require('../utils/errors');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Honour an Idempotency-Key header on an authenticated, validated request.
+ * The first response is stored per user and key and replayed (with
+ * Idempotent-Replayed: true) to retries; reusing a key for a different request
+ * is a 422. Server errors are not stored, so a retry runs the request again.
+ * Requests without the header are unaffected.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  
+  if (key === undefined) {
+    return next();
+  }
+  
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return next(new InvalidRequestError('INVALID_IDEMPOTENCY_KEY', `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`));
+  }
+  
+  try {
+    const requestHash = idempotencyService.hashRequest(req.method, req.originalUrl, req.body);
+    const previous = await idempotencyService.begin(req.user.id, key, requestHash);
+    
+    if (previous.state === 'mismatch') {
+      throw new BusinessRuleViolationError('IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used with a different request');
+    }
+    
+    if (previous.state === 'in_progress') {
+      throw new ConflictError('IDEMPOTENCY_KEY_IN_USE', 'A request with this Idempotency-Key is still being processed');
+    }
+    
+    if (previous.state === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      // Stored client errors are problem details (see errorHandler)
+      if (previous.statusCode >= 400) {
+        res.type('application/problem+json');
+      }
+      return res.status(previous.statusCode).json(previous.body);
+    }
+    
+    // Record the response before sending it, so an immediate retry already sees it
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode >= 500
+        ? idempotencyService.release(req.user.id, key)
+        : idempotencyService.complete(req.user.id, key, res.statusCode, body);
+      
+      stored
+        .catch(error => console.error('Failed to record idempotent response:', error))
+        .finally(() => send(body));
+      
+      return res;
+    };
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// IDs accepted from callers (e.g. a proxy's X-Request-Id); anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Tag each request with an ID, echoed in the X-Request-Id response header and
+ * recorded on the audit entries it writes
+ */
+const requestId = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,22 @@
+const { transactionStats } = require('../utils/transaction');
+
+/**
+ * Count how often the request's transactions were retried after serialization
+ * failures or deadlocks, and report it in the X-Transaction-Retries header of
+ * every response to a request that ran a transaction
+ */
+const transactionRetries = (req, res, next) => {
+  const stats = { requestId: req.id, transactions: 0, retries: 0 };
+  const json = res.json.bind(res);
+  
+  res.json = (body) => {
+    if (stats.transactions > 0 && !res.headersSent) {
+      res.set('X-Transaction-Retries', String(stats.retries));
+    }
+    return json(body);
+  };
+  
+  transactionStats.run(stats, next);
+};
+
+module.exports = { transactionRetries };
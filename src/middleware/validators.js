@@ -1,41 +1,421 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { toMinutes } = require('../utils/time');
+const { BOOKING_EVENTS } = require('../events/bookingEvents');
+const { isValidTimezone } = require('../utils/timezone');
+const { InvalidRequestError } = require('../utils/errors');
+const { ROLES } = require('./auth');
 
 const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      error: 'Validation Error',
-      details: errors.array()
-    });
+    return next(new InvalidRequestError('VALIDATION_ERROR', 'Validation Error', { details: errors.array() }));
   }
   next();
 };
 
+const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const timezoneField = body('timezone').optional({ nullable: true }).custom(isValidTimezone).withMessage('Timezone must be an IANA name such as Europe/London');
+
+const specializationCodePattern = /^[a-z0-9_]+$/;
+
+// Specialization codes, primary first. The free-text `specialization` is still
+// accepted and matched against the taxonomy when no codes are given.
+const doctorSpecializationFields = [
+  body('specializations').optional().isArray({ min: 1, max: 10 }).withMessage('specializations must list 1-10 specialization codes'),
+  body('specializations.*').isString().trim().toLowerCase().matches(specializationCodePattern).withMessage('Specialization codes use a-z, 0-9 and _'),
+  body('specialization').optional().trim().notEmpty().withMessage('Specialization must not be empty')
+];
+
 const doctorValidation = [
   body('name').trim().notEmpty().withMessage('Doctor name is required'),
-  body('specialization').trim().notEmpty().withMessage('Specialization is required'),
+  ...doctorSpecializationFields,
+  body('specialization').if(body('specializations').not().exists()).exists().withMessage('Specialization is required'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+  timezoneField,
+  validate
+];
+
+const doctorUpdateValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  ...doctorSpecializationFields,
+  timezoneField,
+  validate
+];
+
+const specializationFields = (optional) => [
+  body('code', 'Code must be up to 50 characters of a-z, 0-9 and _').optional(optional)
+    .isString().bail().trim().toLowerCase().isLength({ min: 1, max: 50 }).bail().matches(specializationCodePattern),
+  body('name', 'Display name is required (up to 255 characters)').optional(optional).isString().bail().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+  body('synonyms').optional().isArray({ max: 50 }).withMessage('synonyms must list up to 50 terms'),
+  body('synonyms.*', 'Synonyms must be 1-100 characters').isString().bail().trim().toLowerCase().isLength({ min: 1, max: 100 })
+];
+
+const specializationValidation = [
+  ...specializationFields(false),
+  validate
+];
+
+const specializationUpdateValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  ...specializationFields(true),
   validate
 ];
 
+// Seats in a slot; more than one makes it a group slot
+const capacityField = body('capacity').optional().isInt({ min: 1, max: 500 }).withMessage('Capacity must be between 1-500').toInt();
+
 const slotValidation = [
   body('doctor_id').isInt({ min: 1 }).withMessage('Valid doctor ID is required'),
   body('slot_date').isDate().withMessage('Valid date is required (YYYY-MM-DD)'),
   body('slot_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time is required (HH:MM)'),
   body('duration_minutes').optional().isInt({ min: 15, max: 120 }).withMessage('Duration must be between 15-120 minutes'),
+  body('location_id').optional().isInt({ min: 1 }).withMessage('Valid location ID is required'),
+  capacityField,
+  validate
+];
+
+// Cursor pagination shared by the list endpoints; `sortKeys` are the sorts each one offers
+const pageFields = (sortKeys) => [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1-200').toInt(),
+  query('cursor').optional().isString().notEmpty().withMessage('cursor must be a next_cursor value from a previous page'),
+  query('sort').optional().isIn(sortKeys).withMessage(`sort must be one of: ${sortKeys.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('include_total').optional().isBoolean().withMessage('include_total must be a boolean').toBoolean()
+];
+
+const dateRangeFields = (fromField, toField) => [
+  query(fromField).optional().isDate().withMessage(`${fromField} must be a date (YYYY-MM-DD)`),
+  query(toField).optional().isDate().withMessage(`${toField} must be a date (YYYY-MM-DD)`),
+  query(toField).custom((to, { req }) => {
+    if (to && req.query[fromField] && to < req.query[fromField]) {
+      throw new Error(`${toField} must not be before ${fromField}`);
+    }
+    return true;
+  })
+];
+
+const doctorSearchValidation = [
+  query('specialization').optional().isString(),
+  ...dateRangeFields('created_from', 'created_to'),
+  ...pageFields(['name', 'created_at']),
+  validate
+];
+
+const doctorTextSearchValidation = [
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Search query q is required (up to 100 characters)')
+    .matches(/[\p{L}\p{N}]/u).withMessage('Search query must contain a letter or digit'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1-50').toInt(),
   validate
 ];
 
+// Nearest-location search: lat and lng go together, radius_km is optional
+const nearestFields = [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180'),
+  query('lng').if(query('lat').exists()).exists().withMessage('lng is required with lat'),
+  query('lat').if(query('lng').exists()).exists().withMessage('lat is required with lng'),
+  query('radius_km').optional().isFloat({ gt: 0 }).withMessage('radius_km must be a positive number')
+];
+
+const slotSearchValidation = [
+  query('doctor_id').optional().isInt({ min: 1 }).withMessage('Valid doctor ID is required'),
+  query('location_id').optional().isInt({ min: 1 }).withMessage('Valid location ID is required'),
+  query('date').optional().isDate().withMessage('Valid date is required (YYYY-MM-DD)'),
+  query('appointment_type_id').optional().isInt({ min: 1 }).withMessage('Valid appointment type ID is required'),
+  ...nearestFields,
+  ...dateRangeFields('from', 'to'),
+  ...pageFields(['starts_at', 'remaining_seats', 'distance']),
+  query('sort').if(query('sort').equals('distance')).custom((sort, { req }) => req.query.lat !== undefined)
+    .withMessage('sort=distance requires lat and lng'),
+  validate
+];
+
+const locationValidation = [
+  body('name').trim().notEmpty().withMessage('Location name is required'),
+  body('address').optional().trim(),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+  timezoneField,
+  validate
+];
+
+const locationUpdateValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('name').optional().trim().notEmpty().withMessage('Location name cannot be empty'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+  timezoneField,
+  validate
+];
+
+const locationSearchValidation = [
+  ...nearestFields,
+  validate
+];
+
+const locationHoursValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('hours').isArray().withMessage('hours must be an array (empty to remove all restrictions)'),
+  body('hours.*.day_of_week').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)').toInt(),
+  body('hours.*.open_time').matches(timePattern).withMessage('Valid open time is required (HH:MM)'),
+  body('hours.*.close_time').matches(timePattern).withMessage('Valid close time is required (HH:MM)'),
+  body('hours').custom(hours => {
+    for (const { open_time, close_time } of hours) {
+      if (toMinutes(close_time) <= toMinutes(open_time)) {
+        throw new Error('Close time must be after open time');
+      }
+    }
+    return true;
+  }),
+  validate
+];
+
+const doctorLocationValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('doctor_id').isInt({ min: 1 }).withMessage('Valid doctor ID is required'),
+  validate
+];
+
+// Absolute instants: an offset is required so the period is unambiguous
+const instantField = (field) => body(field)
+  .isISO8601({ strict: true }).withMessage(`${field} must be an ISO 8601 timestamp`)
+  .matches(/(Z|[+-]\d{2}:?\d{2})$/i).withMessage(`${field} must include a UTC offset (e.g. 2026-12-24T00:00:00Z)`);
+
+// Blackouts list the bookings they overlap and can cancel them
+const cancelBookingsFields = [
+  body('cancel_bookings').optional().isBoolean().withMessage('cancel_bookings must be a boolean').toBoolean(),
+  body('cancellation_reason').optional().trim().isLength({ max: 500 }).withMessage('Cancellation reason must be at most 500 characters')
+];
+
+const appointmentTypeValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('name').trim().notEmpty().withMessage('Appointment type name is required'),
+  body('duration_minutes').isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5-480 minutes').toInt(),
+  body('description').optional().trim(),
+  validate
+];
+
+const appointmentTypeUpdateValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  param('typeId').isInt({ min: 1 }).withMessage('Valid appointment type ID is required'),
+  body('name').optional().trim().notEmpty().withMessage('Appointment type name cannot be empty'),
+  body('duration_minutes').optional().isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5-480 minutes').toInt(),
+  body('description').optional().trim(),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean(),
+  validate
+];
+
+const appointmentTypeIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  param('typeId').isInt({ min: 1 }).withMessage('Valid appointment type ID is required'),
+  validate
+];
+
+const timeOffValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  instantField('starts_at'),
+  instantField('ends_at'),
+  body('ends_at').custom((endsAt, { req }) => {
+    if (new Date(endsAt) <= new Date(req.body.starts_at)) {
+      throw new Error('ends_at must be after starts_at');
+    }
+    return true;
+  }),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+  ...cancelBookingsFields,
+  validate
+];
+
+const timeOffIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  param('timeOffId').isInt({ min: 1 }).withMessage('Valid time off ID is required'),
+  validate
+];
+
+const holidayValidation = [
+  body('holiday_date').isDate().withMessage('Valid holiday date is required (YYYY-MM-DD)'),
+  body('name').trim().notEmpty().withMessage('Holiday name is required'),
+  body('location_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Valid location ID is required'),
+  ...cancelBookingsFields,
+  validate
+];
+
+const holidaySearchValidation = [
+  query('from').optional().isDate().withMessage('Valid from date is required (YYYY-MM-DD)'),
+  query('to').optional().isDate().withMessage('Valid to date is required (YYYY-MM-DD)'),
+  query('location_id').optional().isInt({ min: 1 }).withMessage('Valid location ID is required'),
+  validate
+];
+
+// Either an existing patient_id or the patient's details (matched or registered by email).
+// Patients always book for themselves, so they send neither.
+const bookingForOtherPatient = (value, { req }) => req.user.role !== ROLES.PATIENT && req.body.patient_id === undefined;
+
 const bookingValidation = [
   body('slot_id').isInt({ min: 1 }).withMessage('Valid slot ID is required'),
-  body('patient_name').trim().notEmpty().withMessage('Patient name is required'),
-  body('patient_email').isEmail().withMessage('Valid email is required'),
+  body('appointment_type_id').optional().isInt({ min: 1 }).withMessage('Valid appointment type ID is required').toInt(),
+  body('patient_id').optional().isInt({ min: 1 }).withMessage('Valid patient ID is required'),
+  body('patient_name').if(bookingForOtherPatient).trim().notEmpty().withMessage('Patient name is required'),
+  body('patient_email').if(bookingForOtherPatient).isEmail().withMessage('Valid email is required'),
   body('patient_phone').optional().isMobilePhone().withMessage('Valid phone number required'),
   validate
 ];
 
+const bookingSearchValidation = [
+  query('status').optional().customSanitizer(status => String(status).toUpperCase())
+    .isIn(['PENDING', 'CONFIRMED', 'FAILED', 'CANCELLED']).withMessage('status must be PENDING, CONFIRMED, FAILED or CANCELLED'),
+  query('patient_id').optional().isInt({ min: 1 }).withMessage('Valid patient ID is required'),
+  query('doctor_id').optional().isInt({ min: 1 }).withMessage('Valid doctor ID is required'),
+  query('patient_email').optional().isEmail().withMessage('Valid email is required'),
+  ...dateRangeFields('from', 'to'),
+  ...dateRangeFields('created_from', 'created_to'),
+  ...pageFields(['created_at', 'starts_at']),
+  validate
+];
+
+const rescheduleValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('slot_id').isInt({ min: 1 }).withMessage('Valid target slot ID is required'),
+  validate
+];
+
+const waitlistValidation = [
+  body('doctor_id').isInt({ min: 1 }).withMessage('Valid doctor ID is required'),
+  // Patients are always enrolled themselves; staff must name the patient
+  body('patient_id').if((value, { req }) => req.user.role !== ROLES.PATIENT)
+    .isInt({ min: 1 }).withMessage('Valid patient ID is required'),
+  body('date_from').isDate().withMessage('Valid date_from is required (YYYY-MM-DD)'),
+  body('date_to').isDate().withMessage('Valid date_to is required (YYYY-MM-DD)').custom((dateTo, { req }) => {
+    if (dateTo < req.body.date_from) {
+      throw new Error('date_to must not be before date_from');
+    }
+    return true;
+  }),
+  body('preferred_start_time').optional().matches(timePattern).withMessage('Valid preferred start time is required (HH:MM)'),
+  body('preferred_end_time').optional().matches(timePattern).withMessage('Valid preferred end time is required (HH:MM)'),
+  validate
+];
+
+const contactPreferences = ['EMAIL', 'SMS', 'PHONE'];
+
+const patientValidation = [
+  body('name').trim().notEmpty().withMessage('Patient name is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+  body('date_of_birth').optional().isDate().withMessage('Valid date of birth is required (YYYY-MM-DD)'),
+  body('preferred_contact').optional().toUpperCase().isIn(contactPreferences).withMessage('Preferred contact must be EMAIL, SMS or PHONE'),
+  body('allow_email').optional().isBoolean().withMessage('allow_email must be a boolean').toBoolean(),
+  body('allow_sms').optional().isBoolean().withMessage('allow_sms must be a boolean').toBoolean(),
+  validate
+];
+
+const patientUpdateValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('name').optional().trim().notEmpty().withMessage('Patient name cannot be empty'),
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+  body('date_of_birth').optional().isDate().withMessage('Valid date of birth is required (YYYY-MM-DD)'),
+  body('preferred_contact').optional().toUpperCase().isIn(contactPreferences).withMessage('Preferred contact must be EMAIL, SMS or PHONE'),
+  body('allow_email').optional().isBoolean().withMessage('allow_email must be a boolean').toBoolean(),
+  body('allow_sms').optional().isBoolean().withMessage('allow_sms must be a boolean').toBoolean(),
+  validate
+];
+
+const webhookEventTypes = Object.values(BOOKING_EVENTS);
+
+const webhookValidation = [
+  body('url').isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('Valid http(s) URL is required'),
+  body('secret').optional().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+  body('event_types').optional().isArray().withMessage('event_types must be an array'),
+  body('event_types.*').isIn(webhookEventTypes).withMessage(`Event types must be one of: ${webhookEventTypes.join(', ')}`),
+  validate
+];
+
+const webhookUpdateValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('url').optional().isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('Valid http(s) URL is required'),
+  body('secret').optional().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+  body('event_types').optional().isArray().withMessage('event_types must be an array'),
+  body('event_types.*').isIn(webhookEventTypes).withMessage(`Event types must be one of: ${webhookEventTypes.join(', ')}`),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean(),
+  validate
+];
+
+const endAfterStart = body('end_time').custom((endTime, { req }) => {
+  if (endTime && req.body.start_time && toMinutes(endTime) <= toMinutes(req.body.start_time)) {
+    throw new Error('End time must be after start time');
+  }
+  return true;
+});
+
+const templateValidation = [
+  body('doctor_id').isInt({ min: 1 }).withMessage('Valid doctor ID is required'),
+  body('days_of_week').isArray({ min: 1, max: 7 }).withMessage('At least one day of week is required'),
+  body('days_of_week.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)').toInt(),
+  body('start_time').matches(timePattern).withMessage('Valid start time is required (HH:MM)'),
+  body('end_time').matches(timePattern).withMessage('Valid end time is required (HH:MM)'),
+  endAfterStart,
+  body('duration_minutes').optional().isInt({ min: 15, max: 120 }).withMessage('Duration must be between 15-120 minutes').toInt(),
+  body('effective_from').optional().isDate().withMessage('Valid effective_from date is required (YYYY-MM-DD)'),
+  body('effective_until').optional({ nullable: true }).isDate().withMessage('Valid effective_until date is required (YYYY-MM-DD)'),
+  body('location_id').optional().isInt({ min: 1 }).withMessage('Valid location ID is required').toInt(),
+  capacityField,
+  body('weeks').optional().isInt({ min: 1, max: 52 }).withMessage('Weeks must be between 1-52').toInt(),
+  validate
+];
+
+const templateUpdateValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
+  body('days_of_week').optional().isArray({ min: 1, max: 7 }).withMessage('At least one day of week is required'),
+  body('days_of_week.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)').toInt(),
+  body('start_time').optional().matches(timePattern).withMessage('Valid start time is required (HH:MM)'),
+  body('end_time').optional().matches(timePattern).withMessage('Valid end time is required (HH:MM)'),
+  endAfterStart,
+  body('duration_minutes').optional().isInt({ min: 15, max: 120 }).withMessage('Duration must be between 15-120 minutes').toInt(),
+  body('effective_from').optional().isDate().withMessage('Valid effective_from date is required (YYYY-MM-DD)'),
+  body('effective_until').optional({ nullable: true }).isDate().withMessage('Valid effective_until date is required (YYYY-MM-DD)'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean(),
+  body('location_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Valid location ID is required').toInt(),
+  capacityField,
+  body('weeks').optional().isInt({ min: 1, max: 52 }).withMessage('Weeks must be between 1-52').toInt(),
+  validate
+];
+
+const loginValidation = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').notEmpty().withMessage('Password is required'),
+  validate
+];
+
+const registerValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+  body('date_of_birth').optional().isDate().withMessage('Valid date of birth is required (YYYY-MM-DD)'),
+  validate
+];
+
+const userValidation = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').toUpperCase().isIn(['ADMIN', 'DOCTOR', 'PATIENT']).withMessage('Role must be ADMIN, DOCTOR or PATIENT'),
+  body('doctor_id').if(body('role').equals('DOCTOR')).isInt({ min: 1 }).withMessage('Doctor accounts require a doctor ID').toInt(),
+  body('patient_id').if(body('role').equals('PATIENT')).isInt({ min: 1 }).withMessage('Patient accounts require a patient ID').toInt(),
+  validate
+];
+
+const auditValidation = [
+  query('entity').isIn(['booking', 'slot', 'doctor']).withMessage('entity must be booking, slot or doctor'),
+  query('id').isInt({ min: 1 }).withMessage('Valid ID is required').toInt(),
+  validate
+];
+
 const idValidation = [
   param('id').isInt({ min: 1 }).withMessage('Valid ID is required'),
   validate
@@ -43,7 +423,38 @@ const idValidation = [
 
 module.exports = {
   doctorValidation,
+  doctorUpdateValidation,
+  doctorSearchValidation,
+  doctorTextSearchValidation,
+  specializationValidation,
+  specializationUpdateValidation,
   slotValidation,
+  slotSearchValidation,
+  locationValidation,
+  locationUpdateValidation,
+  locationSearchValidation,
+  locationHoursValidation,
+  doctorLocationValidation,
+  appointmentTypeValidation,
+  appointmentTypeUpdateValidation,
+  appointmentTypeIdValidation,
+  timeOffValidation,
+  timeOffIdValidation,
+  holidayValidation,
+  holidaySearchValidation,
   bookingValidation,
+  bookingSearchValidation,
+  rescheduleValidation,
+  waitlistValidation,
+  patientValidation,
+  patientUpdateValidation,
+  templateValidation,
+  templateUpdateValidation,
+  webhookValidation,
+  webhookUpdateValidation,
+  loginValidation,
+  registerValidation,
+  userValidation,
+  auditValidation,
   idValidation
 };
\ No newline at end of file
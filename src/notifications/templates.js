@@ -0,0 +1,79 @@
+const { BOOKING_EVENTS } = require('../events/bookingEvents');
+const { formatDate } = require('../utils/time');
+const { toLocalIso } = require('../utils/timezone');
+
+// Appointment times are shown as the clinic's wall-clock time with its timezone
+const when = (ctx) => `${formatDate(ctx.slot_date)} at ${String(ctx.slot_time).slice(0, 5)} (${ctx.timezone})`;
+
+const heldUntil = (ctx) => `${toLocalIso(ctx.expires_at, ctx.timezone).slice(0, 16).replace('T', ' ')} (${ctx.timezone})`;
+
+const reason = (ctx) => ctx.cancellation_reason ? ` Reason: ${ctx.cancellation_reason}.` : '';
+
+const leadTime = (minutes) => {
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+};
+
+/**
+ * Message templates per event type and audience.
+ * Each template returns { subject, text }; SMS sends only the text.
+ */
+const templates = {
+  [BOOKING_EVENTS.CREATED]: {
+    patient: (ctx) => ({
+      subject: 'Your appointment is on hold',
+      text: `Hi ${ctx.patient_name}, your appointment with ${ctx.doctor_name} on ${when(ctx)} is held until ${heldUntil(ctx)}. Please confirm it before then.`
+    })
+  },
+  [BOOKING_EVENTS.CONFIRMED]: {
+    patient: (ctx) => ({
+      subject: 'Appointment confirmed',
+      text: `Hi ${ctx.patient_name}, your appointment with ${ctx.doctor_name} on ${when(ctx)} is confirmed (booking #${ctx.id}).`
+    }),
+    doctor: (ctx) => ({
+      subject: 'New appointment booked',
+      text: `${ctx.patient_name} has booked an appointment with you on ${when(ctx)} (booking #${ctx.id}).`
+    })
+  },
+  [BOOKING_EVENTS.CANCELLED]: {
+    patient: (ctx) => ({
+      subject: 'Appointment cancelled',
+      text: `Hi ${ctx.patient_name}, your appointment with ${ctx.doctor_name} on ${when(ctx)} has been cancelled.${reason(ctx)}`
+    }),
+    doctor: (ctx) => ({
+      subject: 'Appointment cancelled',
+      text: `The appointment with ${ctx.patient_name} on ${when(ctx)} (booking #${ctx.id}) has been cancelled.${reason(ctx)}`
+    })
+  },
+  [BOOKING_EVENTS.EXPIRED]: {
+    patient: (ctx) => ({
+      subject: 'Appointment hold expired',
+      text: `Hi ${ctx.patient_name}, your hold on the appointment with ${ctx.doctor_name} on ${when(ctx)} expired before it was confirmed and the slot has been released.`
+    })
+  },
+  [BOOKING_EVENTS.RESCHEDULED]: {
+    patient: (ctx) => ({
+      subject: 'Appointment rescheduled',
+      text: `Hi ${ctx.patient_name}, your appointment with ${ctx.doctor_name} has been moved to ${when(ctx)}.`
+    }),
+    doctor: (ctx) => ({
+      subject: 'Appointment rescheduled',
+      text: `The appointment with ${ctx.patient_name} (booking #${ctx.id}) has been moved to ${when(ctx)}.`
+    })
+  },
+  [BOOKING_EVENTS.WAITLIST_OFFERED]: {
+    patient: (ctx) => ({
+      subject: 'A slot has opened up for you',
+      text: `Hi ${ctx.patient_name}, a slot with ${ctx.doctor_name} on ${when(ctx)} is being held for you until ${heldUntil(ctx)}. Confirm booking #${ctx.id} to keep it.`
+    })
+  },
+  [BOOKING_EVENTS.REMINDER]: {
+    patient: (ctx) => ({
+      subject: `Reminder: appointment in ${leadTime(ctx.lead_minutes)}`,
+      text: `Hi ${ctx.patient_name}, this is a reminder of your appointment with ${ctx.doctor_name} on ${when(ctx)}.`
+    })
+  }
+};
+
+module.exports = templates;
@@ -0,0 +1,12 @@
+/**
+ * Development transport: prints messages to stdout instead of delivering them
+ */
+function createConsoleTransport(channel) {
+  return {
+    async send({ to, subject, text }) {
+      console.log(`[${channel}] to=${to}${subject ? ` subject="${subject}"` : ''}\n${text}`);
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
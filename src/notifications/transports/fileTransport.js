@@ -0,0 +1,15 @@
+const fs = require('fs');
+
+/**
+ * Development/test transport: appends each message as a JSON line to a file
+ */
+function createFileTransport(channel, filePath = process.env.NOTIFICATION_FILE || 'notifications.log') {
+  return {
+    async send({ to, subject, text }) {
+      const line = JSON.stringify({ channel, to, subject, text, sent_at: new Date().toISOString() });
+      await fs.promises.appendFile(filePath, `${line}\n`);
+    }
+  };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,44 @@
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+const createSmtpTransport = require('./smtpTransport');
+const createTwilioTransport = require('./twilioTransport');
+
+const factories = {
+  EMAIL: {
+    smtp: () => createSmtpTransport(),
+    console: () => createConsoleTransport('EMAIL'),
+    file: () => createFileTransport('EMAIL')
+  },
+  SMS: {
+    twilio: () => createTwilioTransport(),
+    console: () => createConsoleTransport('SMS'),
+    file: () => createFileTransport('SMS')
+  }
+};
+
+const transports = {};
+
+/**
+ * Resolve the configured transport for a channel (EMAIL_TRANSPORT / SMS_TRANSPORT).
+ * Defaults to the console transport so local development needs no credentials.
+ */
+function getTransport(channel) {
+  if (!transports[channel]) {
+    const name = (process.env[`${channel}_TRANSPORT`] || 'console').toLowerCase();
+    const factory = factories[channel][name];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport: ${name}`);
+    }
+    transports[channel] = factory();
+  }
+  return transports[channel];
+}
+
+/**
+ * Replace a channel's transport, e.g. with a stub in tests
+ */
+function setTransport(channel, transport) {
+  transports[channel] = transport;
+}
+
+module.exports = { getTransport, setTransport };
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email transport via SMTP
+ */
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    async send({ to, subject, text }) {
+      await transporter.sendMail({
+        from: process.env.NOTIFICATION_EMAIL_FROM,
+        to,
+        subject,
+        text
+      });
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,27 @@
+/**
+ * SMS transport via the Twilio REST API
+ */
+function createTwilioTransport() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+
+  return {
+    async send({ to, text }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: text })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS delivery failed with status ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+module.exports = createTwilioTransport;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { auditValidation } = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get the change history of a booking, slot or doctor
+ *     description: |
+ *       Every entry is written in the same transaction as the change it describes and is never
+ *       modified. Each records the action, the actor (`actor_role` SYSTEM for background jobs such
+ *       as hold expiry), the request ID (`X-Request-Id`) and client IP, and the entity's state
+ *       `before` and `after` the change (null on creation and deletion respectively).
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [booking, slot, doctor]
+ *       - in: query
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries, oldest first
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - id: 812
+ *                   entity_type: booking
+ *                   entity_id: 42
+ *                   action: cancelled
+ *                   actor_user_id: 7
+ *                   actor_role: PATIENT
+ *                   actor_email: jane@example.com
+ *                   request_id: 3b1f9c2e-8a47-4d0b-9a51-6f1e2c7d9b10
+ *                   ip_address: 203.0.113.24
+ *                   before: { id: 42, status: CONFIRMED }
+ *                   after: { id: 42, status: CANCELLED }
+ *                   created_at: "2026-03-02T10:15:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', auditValidation, auditController.getHistory);
+
+module.exports = router;
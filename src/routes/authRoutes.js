@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+const { loginValidation, registerValidation, userValidation } = require('../middleware/validators');
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in and receive a bearer token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Signed JWT and user profile
+ *       401:
+ *         description: Invalid email or password (`INVALID_CREDENTIALS`)
+ */
+router.post('/login', loginValidation, authController.login);
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Register as a patient
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               phone:
+ *                 type: string
+ *               date_of_birth:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       202:
+ *         description: Registration received; also returned when the email is already registered, so sign in with /api/auth/login for a token
+ */
+router.post('/register', registerValidation, authController.register);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the authenticated user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Current user
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/me', authenticate, authController.getCurrentUser);
+
+/**
+ * @swagger
+ * /api/auth/users:
+ *   post:
+ *     summary: Create a user account (admin only)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, DOCTOR, PATIENT]
+ *               doctor_id:
+ *                 type: integer
+ *                 description: Required for DOCTOR accounts
+ *               patient_id:
+ *                 type: integer
+ *                 description: Required for PATIENT accounts
+ *     responses:
+ *       201:
+ *         description: User created
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/users', authenticate, authorize(ROLES.ADMIN), userValidation, authController.createUser);
+
+module.exports = router;
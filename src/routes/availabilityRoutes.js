@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const availabilityController = require('../controllers/availabilityController');
+const { templateValidation, templateUpdateValidation, idValidation } = require('../middleware/validators');
+const { body } = require('express-validator');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+// Admins manage every doctor's templates; doctors only their own
+router.use(authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR));
+
+/**
+ * @swagger
+ * /api/availability:
+ *   post:
+ *     summary: Create a weekly availability template and generate its slots
+ *     tags: [Availability]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctor_id
+ *               - days_of_week
+ *               - start_time
+ *               - end_time
+ *             properties:
+ *               doctor_id:
+ *                 type: integer
+ *               days_of_week:
+ *                 type: array
+ *                 description: 0 (Sunday) to 6 (Saturday)
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 3]
+ *               start_time:
+ *                 type: string
+ *                 example: "09:00"
+ *               end_time:
+ *                 type: string
+ *                 example: "12:00"
+ *               duration_minutes:
+ *                 type: integer
+ *                 example: 20
+ *               effective_from:
+ *                 type: string
+ *                 format: date
+ *               effective_until:
+ *                 type: string
+ *                 format: date
+ *               location_id:
+ *                 type: integer
+ *                 description: Location for generated slots (must be one of the doctor's; opening hours apply)
+ *               capacity:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Patients each generated slot seats
+ *               weeks:
+ *                 type: integer
+ *                 description: Generation horizon in weeks (defaults to SLOT_GENERATION_WEEKS)
+ *     responses:
+ *       201:
+ *         description: Template created and slots generated
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
+ */
+router.post('/', templateValidation, availabilityController.createTemplate);
+
+/**
+ * @swagger
+ * /api/availability:
+ *   get:
+ *     summary: Get availability templates
+ *     tags: [Availability]
+ *     parameters:
+ *       - in: query
+ *         name: doctor_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of templates
+ */
+router.get('/', availabilityController.getAllTemplates);
+
+/**
+ * @swagger
+ * /api/availability/{id}:
+ *   get:
+ *     summary: Get availability template by ID
+ *     tags: [Availability]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template details
+ */
+router.get('/:id', idValidation, availabilityController.getTemplateById);
+
+/**
+ * @swagger
+ * /api/availability/{id}:
+ *   put:
+ *     summary: Update a template and regenerate its future unbooked slots
+ *     description: Slots with active bookings are never removed or modified.
+ *     tags: [Availability]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days_of_week:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               start_time:
+ *                 type: string
+ *               end_time:
+ *                 type: string
+ *               duration_minutes:
+ *                 type: integer
+ *               effective_from:
+ *                 type: string
+ *                 format: date
+ *               effective_until:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               is_active:
+ *                 type: boolean
+ *               location_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Location for regenerated slots; null detaches the template from its location
+ *               capacity:
+ *                 type: integer
+ *                 description: Applies to regenerated slots; booked slots keep their capacity
+ *               weeks:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Template updated and slots regenerated
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
+ */
+router.put('/:id', templateUpdateValidation, availabilityController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/availability/{id}:
+ *   delete:
+ *     summary: Delete a template and its future unbooked slots
+ *     tags: [Availability]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ */
+router.delete('/:id', idValidation, availabilityController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/availability/{id}/generate:
+ *   post:
+ *     summary: Generate slots from a template (idempotent)
+ *     tags: [Availability]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               weeks:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Newly created slots
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
+ */
+router.post('/:id/generate', [
+  body('weeks').optional().isInt({ min: 1, max: 52 }).toInt(),
+  ...idValidation
+], availabilityController.generateSlots);
+
+module.exports = router;
@@ -1,27 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
-const { bookingValidation, idValidation } = require('../middleware/validators');
+const calendarController = require('../controllers/calendarController');
+const { bookingValidation, bookingSearchValidation, rescheduleValidation, idValidation } = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+router.use(authenticate);
 
 /**
  * @swagger
  * /api/bookings:
  *   post:
- *     summary: Create a new booking
+ *     summary: Hold a slot for a new booking
+ *     description: Creates a PENDING booking that holds a seat in the slot until expires_at (group slots admit patients until their capacity is reached). Call /api/bookings/{id}/confirm before then or the hold is released. Patients always book for themselves; admins may book for any patient.
  *     tags: [Bookings]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             description: Provide patient_id for a registered patient, or patient_name and patient_email to match or register one by email.
  *             required:
  *               - slot_id
- *               - patient_name
- *               - patient_email
  *             properties:
  *               slot_id:
  *                 type: integer
+ *                 description: First slot of the appointment
+ *               appointment_type_id:
+ *                 type: integer
+ *                 description: Book one of the doctor's appointment types; longer types hold the run of consecutive slots starting at slot_id
+ *               patient_id:
+ *                 type: integer
  *               patient_name:
  *                 type: string
  *               patient_email:
@@ -30,15 +43,30 @@ const { bookingValidation, idValidation } = require('../middleware/validators');
  *                 type: string
  *     responses:
  *       201:
- *         description: Booking created successfully
+ *         description: Slot held, booking is PENDING until confirmed
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The slot is full or blocked (`SLOT_UNAVAILABLE`, `SLOT_BLOCKED`, `CONSECUTIVE_SLOTS_UNAVAILABLE`), the patient already holds a seat in it (`DUPLICATE_BOOKING`), a concurrent booking won (`BOOKING_CONFLICT`), or a request with the same Idempotency-Key is still running (`IDEMPOTENCY_KEY_IN_USE`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       422:
+ *         description: The slot is in the past (`SLOT_IN_PAST`), or the Idempotency-Key was already used with a different request (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
-router.post('/', bookingValidation, bookingController.createBooking);
+router.post('/', authorize(ROLES.ADMIN, ROLES.PATIENT), bookingValidation, idempotent, bookingController.createBooking);
 
 /**
  * @swagger
  * /api/bookings:
  *   get:
  *     summary: Get all bookings
+ *     description: Admins see every booking, doctors the bookings on their slots and patients their own. Results are paginated with a cursor, newest booking first by default.
  *     tags: [Bookings]
  *     parameters:
  *       - in: query
@@ -47,26 +75,77 @@ router.post('/', bookingValidation, bookingController.createBooking);
  *           type: string
  *           enum: [PENDING, CONFIRMED, FAILED, CANCELLED]
  *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: doctor_id
+ *         schema:
+ *           type: integer
+ *         description: Bookings on this doctor's slots (ignored for doctors, who only see their own)
+ *       - in: query
  *         name: patient_email
  *         schema:
  *           type: string
+ *         description: Case-insensitive match on the patient's email
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Appointments on or after this date (slot_date)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Appointments on or before this date (slot_date)
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Booked on or after this date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Booked on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, starts_at]
+ *           default: created_at
+ *         description: created_at (newest first by default) or starts_at (appointment time, earliest first by default)
+ *       - $ref: '#/components/parameters/PageOrder'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
- *         description: List of bookings
+ *         description: A page of bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         $ref: '#/components/responses/InvalidCursor'
  */
-router.get('/', bookingController.getAllBookings);
+router.get('/', bookingSearchValidation, bookingController.getAllBookings);
 
 /**
  * @swagger
  * /api/bookings/stats:
  *   get:
- *     summary: Get booking statistics
+ *     summary: Get booking statistics (admin only)
  *     tags: [Bookings]
  *     responses:
  *       200:
  *         description: Booking statistics
  */
-router.get('/stats', bookingController.getBookingStats);
+router.get('/stats', authorize(ROLES.ADMIN), bookingController.getBookingStats);
 
 /**
  * @swagger
@@ -82,15 +161,68 @@ router.get('/stats', bookingController.getBookingStats);
  *           type: integer
  *     responses:
  *       200:
- *         description: Booking details
+ *         description: Booking details, with its version as the `ETag` header
  */
 router.get('/:id', idValidation, bookingController.getBookingById);
 
+/**
+ * @swagger
+ * /api/bookings/{id}/ics:
+ *   get:
+ *     summary: Download the booking as an iCalendar (.ics) event
+ *     description: The UID is stable per booking, so re-importing after a reschedule or cancellation updates the existing entry.
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: iCalendar file with a single VEVENT
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ */
+router.get('/:id/ics', idValidation, calendarController.getBookingIcs);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/confirm:
+ *   post:
+ *     summary: Confirm a held booking
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Booking confirmed
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The booking is not PENDING (`BOOKING_NOT_PENDING`), or its hold expired and it is now FAILED (`BOOKING_HOLD_EXPIRED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.post('/:id/confirm', authorize(ROLES.ADMIN, ROLES.PATIENT), idValidation, bookingController.confirmBooking);
+
 /**
  * @swagger
  * /api/bookings/{id}/cancel:
  *   put:
  *     summary: Cancel a booking
+ *     description: With an Idempotency-Key, a retry gets the original success instead of "already cancelled".
  *     tags: [Bookings]
  *     parameters:
  *       - in: path
@@ -98,10 +230,67 @@ router.get('/:id', idValidation, bookingController.getBookingById);
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Booking cancelled
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The booking is already cancelled (`BOOKING_ALREADY_CANCELLED`), or a request with the same Idempotency-Key is still running (`IDEMPOTENCY_KEY_IN_USE`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       422:
+ *         description: The booking has failed (`BOOKING_NOT_ACTIVE`), or the Idempotency-Key was already used with a different request (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.put('/:id/cancel', authorize(ROLES.ADMIN, ROLES.PATIENT), idValidation, idempotent, bookingController.cancelBooking);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/reschedule:
+ *   put:
+ *     summary: Move a booking to a different slot
+ *     description: Atomically releases the current slots and takes the target slot (and, for longer appointment types, the consecutive slots after it). The previous start slot is kept as previous_slot_id.
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - slot_id
+ *             properties:
+ *               slot_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Booking rescheduled
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
-router.put('/:id/cancel', idValidation, bookingController.cancelBooking);
+router.put('/:id/reschedule', authorize(ROLES.ADMIN, ROLES.PATIENT), rescheduleValidation, bookingController.rescheduleBooking);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const doctorController = require('../controllers/doctorController');
-const { doctorValidation, idValidation } = require('../middleware/validators');
+const calendarController = require('../controllers/calendarController');
+const blackoutController = require('../controllers/blackoutController');
+const appointmentTypeController = require('../controllers/appointmentTypeController');
+const {
+  doctorValidation,
+  doctorUpdateValidation,
+  doctorSearchValidation,
+  doctorTextSearchValidation,
+  appointmentTypeValidation,
+  appointmentTypeUpdateValidation,
+  appointmentTypeIdValidation,
+  timeOffValidation,
+  timeOffIdValidation,
+  idValidation
+} = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -17,47 +32,143 @@ const { doctorValidation, idValidation } = require('../middleware/validators');
  *             type: object
  *             required:
  *               - name
- *               - specialization
  *               - email
  *             properties:
  *               name:
  *                 type: string
+ *               specializations:
+ *                 type: array
+ *                 description: Specialization codes from /api/specializations; the first is the primary
+ *                 items:
+ *                   type: string
+ *                 example: [cardiology, cardiac_surgery]
  *               specialization:
  *                 type: string
+ *                 description: Single specialization by code, display name or synonym (used when specializations is omitted)
+ *                 example: Cardiologist
  *               email:
  *                 type: string
  *               phone:
  *                 type: string
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone for the doctor's slots (defaults to CLINIC_TIMEZONE)
+ *                 example: America/New_York
  *     responses:
  *       201:
  *         description: Doctor created successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
  */
-router.post('/', doctorValidation, doctorController.createDoctor);
+router.post('/', authenticate, authorize(ROLES.ADMIN), doctorValidation, doctorController.createDoctor);
 
 /**
  * @swagger
  * /api/doctors:
  *   get:
  *     summary: Get all doctors
+ *     description: Paginated with a cursor, by name by default. The response always includes `total`.
  *     tags: [Doctors]
+ *     security: []
  *     parameters:
  *       - in: query
  *         name: specialization
  *         schema:
  *           type: string
- *         description: Filter by specialization
+ *         description: Doctors holding this specialization (code, display name or synonym)
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Added on or after this date
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Added on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, created_at]
+ *           default: name
+ *         description: name (A-Z by default) or created_at (newest first by default)
+ *       - $ref: '#/components/parameters/PageOrder'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of doctors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         $ref: '#/components/responses/InvalidCursor'
+ */
+router.get('/', doctorSearchValidation, doctorController.getAllDoctors);
+
+/**
+ * @swagger
+ * /api/doctors/search:
+ *   get:
+ *     summary: Search doctors by name or specialization
+ *     description: Prefix full-text matching ("car" finds Cardiologist, "sar joh" finds Sarah Johnson), trigram matching for typos, and specializations named by prefix or synonym ("heart" finds doctors holding Cardiology). Results are ordered by `rank` (higher is better) and include each doctor's `next_available_slot` (null when none is bookable).
+ *     tags: [Doctors]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         example: heart
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
  *     responses:
  *       200:
- *         description: List of doctors
+ *         description: Matching doctors, best match first
+ *       400:
+ *         description: Missing or empty query
  */
-router.get('/', doctorController.getAllDoctors);
+router.get('/search', doctorTextSearchValidation, doctorController.searchDoctors);
+
+/**
+ * @swagger
+ * /api/doctors/deleted:
+ *   get:
+ *     summary: List deactivated doctors (admin only)
+ *     tags: [Doctors]
+ *     responses:
+ *       200:
+ *         description: Deactivated doctors, most recently deactivated first
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/deleted', authenticate, authorize(ROLES.ADMIN), doctorController.getDeletedDoctors);
 
 /**
  * @swagger
  * /api/doctors/{id}:
  *   get:
  *     summary: Get doctor by ID
+ *     description: Deactivated doctors are still returned, with `deleted_at` set
  *     tags: [Doctors]
+ *     security: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -66,7 +177,7 @@ router.get('/', doctorController.getAllDoctors);
  *           type: integer
  *     responses:
  *       200:
- *         description: Doctor details
+ *         description: Doctor details, with its version as the `ETag` header
  */
 router.get('/:id', idValidation, doctorController.getDoctorById);
 
@@ -82,17 +193,317 @@ router.get('/:id', idValidation, doctorController.getDoctorById);
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               specializations:
+ *                 type: array
+ *                 description: Replaces the doctor's specialization codes; the first is the primary
+ *                 items:
+ *                   type: string
+ *               specialization:
+ *                 type: string
+ *                 description: Replaces them with a single specialization by code, display name or synonym
+ *               phone:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *                 description: Applies to slots created afterwards; existing slots keep their timezone
  *     responses:
  *       200:
  *         description: Doctor updated
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
  */
-router.put('/:id', idValidation, doctorController.updateDoctor);
+router.put('/:id', authenticate, authorize(ROLES.ADMIN), doctorUpdateValidation, doctorController.updateDoctor);
 
 /**
  * @swagger
  * /api/doctors/{id}:
  *   delete:
- *     summary: Delete doctor
+ *     summary: Deactivate doctor
+ *     description: Soft delete. The doctor is hidden from listings and search and their slots cannot be booked, while their slots and bookings are kept. Restore reverses it.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Doctor deactivated
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Doctor is already deactivated (`DOCTOR_ALREADY_DEACTIVATED`)
+ */
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN), idValidation, doctorController.deleteDoctor);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/restore:
+ *   post:
+ *     summary: Restore a deactivated doctor
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Doctor restored; their slots are bookable again
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Doctor is not deactivated (`DOCTOR_NOT_DEACTIVATED`)
+ */
+router.post('/:id/restore', authenticate, authorize(ROLES.ADMIN), idValidation, doctorController.restoreDoctor);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a doctor (admin only)
+ *     description: Removes the doctor with their slots, templates and booking history. The audit trail is kept.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Doctor purged
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The doctor still has PENDING or CONFIRMED bookings (`PURGE_BLOCKED_BY_BOOKINGS`)
+ */
+router.delete('/:id/purge', authenticate, authorize(ROLES.ADMIN), idValidation, doctorController.purgeDoctor);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribable iCalendar feed of the doctor's upcoming appointments
+ *     description: Authenticated by the feed token rather than a bearer token, so calendar clients can poll it. Confirmed bookings are listed; cancelled ones stay as STATUS:CANCELLED with the same UID so clients remove them.
+ *     tags: [Doctors]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown feed or invalid token (`CALENDAR_FEED_NOT_FOUND`)
+ */
+router.get('/:id/calendar.ics', idValidation, calendarController.getDoctorFeed);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/calendar-token:
+ *   post:
+ *     summary: Enable or rotate the doctor's calendar feed and return its URL
+ *     description: Issuing a new token invalidates any previously shared feed URL.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feed URL including the new token
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/calendar-token', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), idValidation, calendarController.rotateDoctorToken);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/appointment-types:
+ *   post:
+ *     summary: Define an appointment type for a doctor
+ *     description: Types longer than the doctor's slots are booked as a run of consecutive slots.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - duration_minutes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: New patient consult
+ *               duration_minutes:
+ *                 type: integer
+ *                 example: 60
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Appointment type created
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: The doctor already has a type with this name
+ */
+router.post('/:id/appointment-types', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), appointmentTypeValidation, appointmentTypeController.createType);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/appointment-types:
+ *   get:
+ *     summary: Get the appointment types a doctor offers
+ *     tags: [Doctors]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of appointment types
+ */
+router.get('/:id/appointment-types', idValidation, appointmentTypeController.getTypes);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/appointment-types/{typeId}:
+ *   put:
+ *     summary: Update an appointment type
+ *     description: Existing bookings keep the duration they were booked with.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: typeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               duration_minutes:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Appointment type updated
+ *       404:
+ *         description: Appointment type not found (`APPOINTMENT_TYPE_NOT_FOUND`)
+ */
+router.put('/:id/appointment-types/:typeId', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), appointmentTypeUpdateValidation, appointmentTypeController.updateType);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/appointment-types/{typeId}:
+ *   delete:
+ *     summary: Delete an appointment type
+ *     description: Bookings made with it keep their duration.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: typeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment type deleted
+ *       404:
+ *         description: Appointment type not found (`APPOINTMENT_TYPE_NOT_FOUND`)
+ */
+router.delete('/:id/appointment-types/:typeId', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), appointmentTypeIdValidation, appointmentTypeController.deleteType);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/time-off:
+ *   post:
+ *     summary: Record time off for a doctor
+ *     description: |
+ *       Slots overlapping the period cannot be created or booked and are hidden from slot search.
+ *       Upcoming active bookings it overlaps are returned in affected_bookings; with
+ *       cancel_bookings they are cancelled and the reason is recorded on each booking.
  *     tags: [Doctors]
  *     parameters:
  *       - in: path
@@ -100,10 +511,91 @@ router.put('/:id', idValidation, doctorController.updateDoctor);
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - starts_at
+ *               - ends_at
+ *             properties:
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-12-21T00:00:00-05:00"
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2027-01-04T00:00:00-05:00"
+ *               reason:
+ *                 type: string
+ *                 example: Annual leave
+ *               cancel_bookings:
+ *                 type: boolean
+ *                 default: false
+ *               cancellation_reason:
+ *                 type: string
+ *                 description: Recorded on cancelled bookings (defaults to reason)
+ *     responses:
+ *       201:
+ *         description: Time off created, with the affected bookings and how many were cancelled
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A booking changed concurrently - retry
+ */
+router.post('/:id/time-off', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), timeOffValidation, blackoutController.createTimeOff);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/time-off:
+ *   get:
+ *     summary: Get a doctor's time off
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of time-off periods
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id/time-off', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), idValidation, blackoutController.getTimeOff);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/time-off/{timeOffId}:
+ *   delete:
+ *     summary: Delete a doctor's time off
+ *     description: Its slots become bookable again. Bookings it cancelled stay cancelled.
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: timeOffId
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Doctor deleted
+ *         description: Time off deleted
+ *       404:
+ *         description: Time off not found (`TIME_OFF_NOT_FOUND`)
  */
-router.delete('/:id', idValidation, doctorController.deleteDoctor);
+router.delete('/:id/time-off/:timeOffId', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), timeOffIdValidation, blackoutController.deleteTimeOff);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const blackoutController = require('../controllers/blackoutController');
+const { holidayValidation, holidaySearchValidation, idValidation } = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/holidays:
+ *   post:
+ *     summary: Add a clinic holiday
+ *     description: |
+ *       Closes one location, or every location when location_id is omitted, for the day
+ *       (in each slot's local date). Slots that day cannot be created or booked and are
+ *       hidden from slot search. Upcoming active bookings that day are returned in
+ *       affected_bookings; with cancel_bookings they are cancelled and the reason recorded.
+ *     tags: [Holidays]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - holiday_date
+ *               - name
+ *             properties:
+ *               holiday_date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-12-25"
+ *               name:
+ *                 type: string
+ *                 example: Christmas Day
+ *               location_id:
+ *                 type: integer
+ *                 nullable: true
+ *               cancel_bookings:
+ *                 type: boolean
+ *                 default: false
+ *               cancellation_reason:
+ *                 type: string
+ *                 description: "Recorded on cancelled bookings (defaults to 'Clinic closed: <name>')"
+ *     responses:
+ *       201:
+ *         description: Holiday created, with the affected bookings and how many were cancelled
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A booking changed concurrently - retry
+ */
+router.post('/', authenticate, authorize(ROLES.ADMIN), holidayValidation, blackoutController.createHoliday);
+
+/**
+ * @swagger
+ * /api/holidays:
+ *   get:
+ *     summary: Get clinic holidays
+ *     tags: [Holidays]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: location_id
+ *         schema:
+ *           type: integer
+ *         description: Holidays for this location, including clinic-wide ones
+ *     responses:
+ *       200:
+ *         description: List of holidays
+ */
+router.get('/', holidaySearchValidation, blackoutController.getHolidays);
+
+/**
+ * @swagger
+ * /api/holidays/{id}:
+ *   delete:
+ *     summary: Delete a clinic holiday
+ *     description: Its slots become bookable again. Bookings it cancelled stay cancelled.
+ *     tags: [Holidays]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Holiday deleted
+ *       404:
+ *         description: Holiday not found (`HOLIDAY_NOT_FOUND`)
+ */
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN), idValidation, blackoutController.deleteHoliday);
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const {
+  locationValidation,
+  locationUpdateValidation,
+  locationSearchValidation,
+  locationHoursValidation,
+  doctorLocationValidation,
+  idValidation
+} = require('../middleware/validators');
+const { param } = require('express-validator');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/locations:
+ *   post:
+ *     summary: Create a clinic location
+ *     tags: [Locations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *                 example: 40.7411
+ *               longitude:
+ *                 type: number
+ *                 example: -73.9897
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone for slots at this location (defaults to the doctor's)
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Location created
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', authenticate, authorize(ROLES.ADMIN), locationValidation, locationController.createLocation);
+
+/**
+ * @swagger
+ * /api/locations:
+ *   get:
+ *     summary: Get locations, nearest first when lat/lng are given
+ *     description: Distances are great-circle (haversine) distances in km computed in the database.
+ *     tags: [Locations]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *         description: Only return locations within this distance
+ *     responses:
+ *       200:
+ *         description: List of locations (with distance_km for nearest searches)
+ */
+router.get('/', locationSearchValidation, locationController.getAllLocations);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   get:
+ *     summary: Get location with opening hours and doctors
+ *     tags: [Locations]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Location details
+ */
+router.get('/:id', idValidation, locationController.getLocationById);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   put:
+ *     summary: Update location
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               timezone:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Location updated
+ */
+router.put('/:id', authenticate, authorize(ROLES.ADMIN), locationUpdateValidation, locationController.updateLocation);
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   delete:
+ *     summary: Delete a location without slots
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Location deleted
+ */
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN), idValidation, locationController.deleteLocation);
+
+/**
+ * @swagger
+ * /api/locations/{id}/hours:
+ *   put:
+ *     summary: Replace the location's weekly opening hours
+ *     description: Slot creation (single, bulk and template generation) never creates slots outside these hours. An empty list removes the restriction.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hours
+ *             properties:
+ *               hours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day_of_week:
+ *                       type: integer
+ *                       description: 0 (Sunday) to 6 (Saturday)
+ *                     open_time:
+ *                       type: string
+ *                       example: "08:00"
+ *                     close_time:
+ *                       type: string
+ *                       example: "18:00"
+ *     responses:
+ *       200:
+ *         description: Opening hours saved
+ */
+router.put('/:id/hours', authenticate, authorize(ROLES.ADMIN), locationHoursValidation, locationController.setOpeningHours);
+
+/**
+ * @swagger
+ * /api/locations/{id}/doctors:
+ *   post:
+ *     summary: Assign a doctor to the location
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctor_id
+ *             properties:
+ *               doctor_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Doctor assigned
+ */
+router.post('/:id/doctors', authenticate, authorize(ROLES.ADMIN), doctorLocationValidation, locationController.assignDoctor);
+
+/**
+ * @swagger
+ * /api/locations/{id}/doctors/{doctorId}:
+ *   delete:
+ *     summary: Remove a doctor from the location
+ *     description: Existing slots are kept; no new slots can be created for the doctor there.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Doctor removed from location
+ */
+router.delete('/:id/doctors/:doctorId', authenticate, authorize(ROLES.ADMIN), [
+  param('doctorId').isInt({ min: 1 }),
+  ...idValidation
+], locationController.unassignDoctor);
+
+module.exports = router;
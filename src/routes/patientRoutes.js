@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const patientController = require('../controllers/patientController');
+const calendarController = require('../controllers/calendarController');
+const { patientValidation, patientUpdateValidation, idValidation } = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/patients/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribable iCalendar feed of the patient's upcoming appointments
+ *     description: Authenticated by the feed token rather than a bearer token, so calendar clients can poll it. Confirmed bookings are listed; cancelled ones stay as STATUS:CANCELLED with the same UID so clients remove them.
+ *     tags: [Patients]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown feed or invalid token (`CALENDAR_FEED_NOT_FOUND`)
+ */
+// Declared before authenticate: the feed token is the credential
+router.get('/:id/calendar.ics', idValidation, calendarController.getPatientFeed);
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/patients:
+ *   post:
+ *     summary: Register a new patient (admin only)
+ *     tags: [Patients]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               date_of_birth:
+ *                 type: string
+ *                 format: date
+ *               preferred_contact:
+ *                 type: string
+ *                 enum: [EMAIL, SMS, PHONE]
+ *               allow_email:
+ *                 type: boolean
+ *               allow_sms:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Patient created successfully
+ *       409:
+ *         description: A patient with this email already exists
+ */
+router.post('/', authorize(ROLES.ADMIN), patientValidation, patientController.createPatient);
+
+/**
+ * @swagger
+ * /api/patients:
+ *   get:
+ *     summary: Get all patients (admin only)
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Exact email match (case-insensitive)
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Partial match on name or email
+ *     responses:
+ *       200:
+ *         description: List of patients
+ */
+router.get('/', authorize(ROLES.ADMIN), patientController.getAllPatients);
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   get:
+ *     summary: Get patient by ID (admin or the patient themselves)
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Patient details
+ */
+router.get('/:id', authorize(ROLES.ADMIN, ROLES.PATIENT), idValidation, patientController.getPatientById);
+
+/**
+ * @swagger
+ * /api/patients/{id}/bookings:
+ *   get:
+ *     summary: Get a patient's booking history (admin or the patient themselves)
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, CONFIRMED, FAILED, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Bookings for the patient, most recent appointment first
+ */
+router.get('/:id/bookings', authorize(ROLES.ADMIN, ROLES.PATIENT), idValidation, patientController.getPatientBookings);
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   put:
+ *     summary: Update patient (admin or the patient themselves)
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Patient updated
+ */
+router.put('/:id', authorize(ROLES.ADMIN, ROLES.PATIENT), patientUpdateValidation, patientController.updatePatient);
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   delete:
+ *     summary: Delete patient without booking history (admin only)
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Patient deleted
+ */
+router.delete('/:id', authorize(ROLES.ADMIN), idValidation, patientController.deletePatient);
+
+/**
+ * @swagger
+ * /api/patients/{id}/calendar-token:
+ *   post:
+ *     summary: Enable or rotate the patient's calendar feed and return its URL
+ *     description: Issuing a new token invalidates any previously shared feed URL.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feed URL including the new token
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/calendar-token', authorize(ROLES.ADMIN, ROLES.PATIENT), idValidation, calendarController.rotatePatientToken);
+
+module.exports = router;
@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const slotController = require('../controllers/slotController');
-const { slotValidation, idValidation } = require('../middleware/validators');
+const { slotValidation, slotSearchValidation, idValidation } = require('../middleware/validators');
 const { body } = require('express-validator');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
 
 /**
  * @swagger
  * /api/slots:
  *   post:
  *     summary: Create a new appointment slot
+ *     description: Admins can create slots for any doctor; doctors only for themselves. slot_date and slot_time are wall-clock values in the doctor's timezone; the response adds the absolute `starts_at` instant and its local rendering `starts_at_local`. Times that do not exist because of a DST change are rejected.
  *     tags: [Slots]
  *     requestBody:
  *       required: true
@@ -30,17 +32,33 @@ const { body } = require('express-validator');
  *                 type: string
  *               duration_minutes:
  *                 type: integer
+ *               location_id:
+ *                 type: integer
+ *                 description: Must be one of the doctor's locations; the slot must fit its opening hours
+ *               capacity:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Patients the slot seats; more than one makes it a group slot (classes, vaccination drives)
  *     responses:
  *       201:
  *         description: Slot created successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/SlotOverlap'
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
  */
-router.post('/', slotValidation, slotController.createSlot);
+router.post('/', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), slotValidation, slotController.createSlot);
 
 /**
  * @swagger
  * /api/slots/bulk:
  *   post:
  *     summary: Create multiple slots for a doctor
+ *     description: Times are wall-clock values in the location's (or doctor's) timezone. Slots outside the location's opening hours, during time off or holidays, and times skipped by a DST change are left out (reported as `skipped`); times repeated when clocks go back are created once. Slots identical to existing ones are not created again; any other overlap with the doctor's existing slots rejects the whole batch.
  *     tags: [Slots]
  *     requestBody:
  *       required: true
@@ -65,16 +83,32 @@ router.post('/', slotValidation, slotController.createSlot);
  *                 type: string
  *               duration_minutes:
  *                 type: integer
+ *               location_id:
+ *                 type: integer
+ *               capacity:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Patients each slot seats
  *     responses:
  *       201:
  *         description: Slots created successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/SlotOverlap'
+ *       422:
+ *         $ref: '#/components/responses/BusinessRuleViolation'
  */
-router.post('/bulk', [
+router.post('/bulk', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), [
   body('doctor_id').isInt({ min: 1 }),
   body('slot_date').isDate(),
   body('start_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('end_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('duration_minutes').optional().isInt({ min: 15, max: 120 })
+  body('duration_minutes').optional().isInt({ min: 15, max: 120 }),
+  body('location_id').optional().isInt({ min: 1 }),
+  body('capacity').optional().isInt({ min: 1, max: 500 }).toInt()
 ], slotController.createBulkSlots);
 
 /**
@@ -82,7 +116,9 @@ router.post('/bulk', [
  * /api/slots:
  *   get:
  *     summary: Get available slots
+ *     description: Slots with at least one free seat. Each slot reports its `capacity`, `booked_count` and `remaining_seats`. Results are paginated with a cursor, earliest first (closest first for nearest searches) by default.
  *     tags: [Slots]
+ *     security: []
  *     parameters:
  *       - in: query
  *         name: doctor_id
@@ -97,11 +133,65 @@ router.post('/bulk', [
  *         name: specialization
  *         schema:
  *           type: string
+ *         description: Doctor's specialization (code, display name or synonym)
+ *       - in: query
+ *         name: location_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: With lng, orders slots by distance of their location (haversine, km)
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *         description: With lat/lng, only slots at locations within this distance
+ *       - in: query
+ *         name: appointment_type_id
+ *         schema:
+ *           type: integer
+ *         description: Only start slots followed by enough consecutive free slots for this type (implies its doctor)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Slots on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Slots on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [starts_at, remaining_seats, distance]
+ *         description: starts_at (earliest first by default), remaining_seats (most first) or distance (closest first; requires lat/lng)
+ *       - $ref: '#/components/parameters/PageOrder'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
- *         description: List of available slots
+ *         description: A page of available slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         $ref: '#/components/responses/InvalidCursor'
+ *       404:
+ *         description: Appointment type not found (`APPOINTMENT_TYPE_NOT_FOUND`)
  */
-router.get('/', slotController.getAvailableSlots);
+router.get('/', slotSearchValidation, slotController.getAvailableSlots);
 
 /**
  * @swagger
@@ -109,6 +199,7 @@ router.get('/', slotController.getAvailableSlots);
  *   get:
  *     summary: Get slot by ID
  *     tags: [Slots]
+ *     security: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -117,7 +208,7 @@ router.get('/', slotController.getAvailableSlots);
  *           type: integer
  *     responses:
  *       200:
- *         description: Slot details
+ *         description: Slot details, with its version as the `ETag` header
  */
 router.get('/:id', idValidation, slotController.getSlotById);
 
@@ -126,6 +217,7 @@ router.get('/:id', idValidation, slotController.getSlotById);
  * /api/slots/{id}:
  *   delete:
  *     summary: Delete slot
+ *     description: Soft delete. The slot can no longer be booked but keeps its booking history and its time, so restore it rather than creating it again.
  *     tags: [Slots]
  *     parameters:
  *       - in: path
@@ -133,10 +225,80 @@ router.get('/:id', idValidation, slotController.getSlotById);
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Slot deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Slot has active bookings (`SLOT_HAS_ACTIVE_BOOKINGS`) or is already deleted (`SLOT_ALREADY_DELETED`)
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), idValidation, slotController.deleteSlot);
+
+/**
+ * @swagger
+ * /api/slots/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted slot
+ *     tags: [Slots]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Slot restored; bookable again unless full or its doctor is deactivated
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Slot is not deleted (`SLOT_NOT_DELETED`)
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.post('/:id/restore', authenticate, authorize(ROLES.ADMIN, ROLES.DOCTOR), idValidation, slotController.restoreSlot);
+
+/**
+ * @swagger
+ * /api/slots/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a slot (admin only)
+ *     description: Removes the slot with its booking history. The audit trail is kept.
+ *     tags: [Slots]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Slot purged
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       409:
+ *         description: The slot still has PENDING or CONFIRMED bookings (`PURGE_BLOCKED_BY_BOOKINGS`)
  */
-router.delete('/:id', idValidation, slotController.deleteSlot);
+router.delete('/:id/purge', authenticate, authorize(ROLES.ADMIN), idValidation, slotController.purgeSlot);
 
 module.exports = router;
\ No newline at end of file
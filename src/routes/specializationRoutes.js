@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const specializationController = require('../controllers/specializationController');
+const { specializationValidation, specializationUpdateValidation, idValidation } = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/specializations:
+ *   get:
+ *     summary: Get the specialization taxonomy
+ *     description: |
+ *       Every specialization with its synonyms and the number of doctors holding it.
+ *       Doctors are assigned specializations by code, and `?specialization=` filters
+ *       accept a code, display name or synonym.
+ *     tags: [Specializations]
+ *     responses:
+ *       200:
+ *         description: List of specializations
+ */
+router.get('/', specializationController.getAllSpecializations);
+
+/**
+ * @swagger
+ * /api/specializations/{id}:
+ *   get:
+ *     summary: Get specialization by ID
+ *     tags: [Specializations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Specialization with its synonyms
+ *       404:
+ *         description: Specialization not found (`SPECIALIZATION_NOT_FOUND`)
+ */
+router.get('/:id', idValidation, specializationController.getSpecializationById);
+
+/**
+ * @swagger
+ * /api/specializations:
+ *   post:
+ *     summary: Add a specialization to the taxonomy
+ *     tags: [Specializations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^[a-z0-9_]+$'
+ *                 example: sports_medicine
+ *               name:
+ *                 type: string
+ *                 example: Sports Medicine
+ *               description:
+ *                 type: string
+ *               synonyms:
+ *                 type: array
+ *                 description: Search and filter terms that name this specialization
+ *                 items:
+ *                   type: string
+ *                 example: [sports injury, sports physician]
+ *     responses:
+ *       201:
+ *         description: Specialization created
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Code or synonym already in use
+ */
+router.post('/', authenticate, authorize(ROLES.ADMIN), specializationValidation, specializationController.createSpecialization);
+
+/**
+ * @swagger
+ * /api/specializations/{id}:
+ *   put:
+ *     summary: Update a specialization
+ *     description: |
+ *       A new display name is copied to the doctors holding it as their primary specialization.
+ *       `synonyms`, when given, replaces the existing list.
+ *     tags: [Specializations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               synonyms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Specialization updated
+ *       404:
+ *         description: Specialization not found (`SPECIALIZATION_NOT_FOUND`)
+ *       409:
+ *         description: Code or synonym already in use
+ */
+router.put('/:id', authenticate, authorize(ROLES.ADMIN), specializationUpdateValidation, specializationController.updateSpecialization);
+
+/**
+ * @swagger
+ * /api/specializations/{id}:
+ *   delete:
+ *     summary: Delete a specialization no doctor holds
+ *     tags: [Specializations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Specialization deleted
+ *       404:
+ *         description: Specialization not found (`SPECIALIZATION_NOT_FOUND`)
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ */
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN), idValidation, specializationController.deleteSpecialization);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { waitlistValidation, idValidation } = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a doctor
+ *     description: When a matching slot is released by a cancellation or an expired hold, the first entry in the queue is offered a PENDING hold on it (confirm via /api/bookings/{id}/confirm). If the offer lapses, the slot moves to the next entry.
+ *     tags: [Waitlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctor_id
+ *               - date_from
+ *               - date_to
+ *             properties:
+ *               doctor_id:
+ *                 type: integer
+ *               patient_id:
+ *                 type: integer
+ *                 description: Required for admins - patients are always enrolled themselves
+ *               date_from:
+ *                 type: string
+ *                 format: date
+ *               date_to:
+ *                 type: string
+ *                 format: date
+ *               preferred_start_time:
+ *                 type: string
+ *                 example: "09:00"
+ *               preferred_end_time:
+ *                 type: string
+ *                 example: "12:00"
+ *     responses:
+ *       201:
+ *         description: Waitlist entry created
+ */
+router.post('/', authorize(ROLES.ADMIN, ROLES.PATIENT), waitlistValidation, waitlistController.createEntry);
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   get:
+ *     summary: Get waitlist entries in queue order
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [WAITING, OFFERED, BOOKED, CANCELLED]
+ *       - in: query
+ *         name: doctor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of waitlist entries
+ */
+router.get('/', waitlistController.getAllEntries);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   get:
+ *     summary: Get waitlist entry by ID, including any outstanding offer
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Waitlist entry details
+ */
+router.get('/:id', idValidation, waitlistController.getEntryById);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: Any outstanding offer is cancelled and its slot is offered to the next entry.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Waitlist entry cancelled
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ */
+router.delete('/:id', authorize(ROLES.ADMIN, ROLES.PATIENT), idValidation, waitlistController.cancelEntry);
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { webhookValidation, webhookUpdateValidation, idValidation } = require('../middleware/validators');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook subscriber
+ *     description: |
+ *       Booking state changes are recorded in an outbox in the same transaction as the change and
+ *       POSTed to every matching subscriber. Each request carries `X-Webhook-Event`, `X-Webhook-Delivery`,
+ *       `X-Webhook-Timestamp` and `X-Webhook-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<raw body>">`
+ *       keyed with the subscription secret. Non-2xx responses are retried with exponential backoff
+ *       and dead-lettered after WEBHOOK_MAX_ATTEMPTS.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://ehr.example.com/hooks/appointments
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret (generated when omitted)
+ *               event_types:
+ *                 type: array
+ *                 description: Events to receive (all when empty)
+ *                 items:
+ *                   type: string
+ *                   enum: [booking.created, booking.confirmed, booking.cancelled, booking.expired, booking.rescheduled, waitlist.offered, booking.reminder]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Subscription created, including its secret
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', webhookValidation, webhookController.createSubscription);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get webhook subscriptions with pending and dead delivery counts
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: List of subscriptions
+ */
+router.get('/', webhookController.getAllSubscriptions);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}/replay:
+ *   post:
+ *     summary: Send a single delivery again, whatever its status
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery queued for the next dispatch
+ *       404:
+ *         description: Delivery not found (`WEBHOOK_DELIVERY_NOT_FOUND`)
+ */
+router.post('/deliveries/:id/replay', idValidation, webhookController.replayDelivery);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get webhook subscription by ID
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription details
+ */
+router.get('/:id', idValidation, webhookController.getSubscriptionById);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook subscription (rotate the secret, change events, pause)
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               secret:
+ *                 type: string
+ *               event_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *                 description: Paused subscriptions keep their queued deliveries until reactivated
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ */
+router.put('/:id', webhookUpdateValidation, webhookController.updateSubscription);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery history
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ */
+router.delete('/:id', idValidation, webhookController.deleteSubscription);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the most recent deliveries for a subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, DELIVERED, FAILED, DEAD]
+ *     responses:
+ *       200:
+ *         description: List of deliveries
+ */
+router.get('/:id/deliveries', idValidation, webhookController.getDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/replay:
+ *   post:
+ *     summary: Requeue every dead-lettered delivery for a subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Number of deliveries requeued
+ */
+router.post('/:id/replay', idValidation, webhookController.replayDeadDeliveries);
+
+module.exports = router;
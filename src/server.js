@@ -6,30 +6,60 @@ require('dotenv').config();
 
 const swaggerSpec = require('./config/swagger');
 const errorHandler = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { NotFoundError } = require('./utils/errors');
+const { transactionRetries } = require('./middleware/transactionRetries');
 const doctorRoutes = require('./routes/doctorRoutes');
+const specializationRoutes = require('./routes/specializationRoutes');
 const slotRoutes = require('./routes/slotRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
+const availabilityRoutes = require('./routes/availabilityRoutes');
+const patientRoutes = require('./routes/patientRoutes');
+const authRoutes = require('./routes/authRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 const { startBookingExpiryJob } = require('./jobs/bookingExpiry');
+const { startSlotGenerationJob } = require('./jobs/slotGeneration');
+const { startNotificationRetryJob } = require('./jobs/notificationRetry');
+const { startAppointmentReminderJob } = require('./jobs/appointmentReminders');
+const { startWebhookDispatcherJob } = require('./jobs/webhookDispatcher');
+const { startIdempotencyCleanupJob } = require('./jobs/idempotencyCleanup');
+const notificationService = require('./services/notificationService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer, trust its X-Forwarded-For so req.ip (recorded in the audit log) is the client's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Send notifications for booking lifecycle events
+notificationService.registerListeners();
+
 // Security middleware
 app.use(helmet());
 
 // CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id', 'ETag', 'X-Transaction-Retries']
 }));
 
 // Body parsing middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging
+// Request ID, transaction retry count and logging
+app.use(requestId);
+app.use(transactionRetries);
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path} [${req.id}]`);
   next();
 });
 
@@ -50,17 +80,22 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
 }));
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/doctors', doctorRoutes);
+app.use('/api/specializations', specializationRoutes);
 app.use('/api/slots', slotRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/patients', patientRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/audit', auditRoutes);
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-    path: req.path
-  });
+app.use((req, res, next) => {
+  next(new NotFoundError('ROUTE_NOT_FOUND', 'Route not found', { path: req.path }));
 });
 
 // Error handling middleware
@@ -79,6 +114,11 @@ app.listen(PORT, () => {
   
   // Start background jobs
   startBookingExpiryJob();
+  startSlotGenerationJob();
+  startNotificationRetryJob();
+  startAppointmentReminderJob();
+  startWebhookDispatcherJob();
+  startIdempotencyCleanupJob();
 });
 
 // Graceful shutdown
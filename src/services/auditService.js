@@ -0,0 +1,92 @@
+const pool = require('../config/database');
+
+class AuditService {
+  constructor() {
+    // Actor recorded for changes made by background jobs
+    this.system = { userId: null, role: 'SYSTEM', requestId: null, ip: null };
+  }
+  
+  /**
+   * Who is making a request's changes: the authenticated user, the request ID
+   * and the client IP
+   */
+  fromRequest(req) {
+    return {
+      userId: req.user ? req.user.id : null,
+      role: req.user ? req.user.role : 'ANONYMOUS',
+      requestId: req.id || null,
+      ip: req.ip || null
+    };
+  }
+  
+  /**
+   * Append an entry using the caller's client, so it commits or rolls back with
+   * the change it describes. `before` is null for creations, `after` for deletions.
+   */
+  async record(client, actor, entityType, entityId, action, before, after) {
+    await client.query(
+      `INSERT INTO audit_log
+         (entity_type, entity_id, action, actor_user_id, actor_role, request_id, ip_address, before_state, after_state)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        entityType,
+        entityId,
+        action,
+        actor.userId,
+        actor.role,
+        actor.requestId,
+        actor.ip,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+      ]
+    );
+  }
+  
+  /**
+   * Record a booking change, reading its state after the change in the same transaction
+   */
+  async recordBooking(client, actor, action, bookingId, before = null) {
+    const after = await client.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
+    
+    await this.record(client, actor, 'booking', bookingId, action, before, after.rows[0]);
+  }
+  
+  /**
+   * Record the waitlist offers (new PENDING bookings) made when a change released seats
+   */
+  async recordOffers(client, actor, offers) {
+    for (const offer of offers) {
+      await this.record(client, actor, 'booking', offer.id, 'offered', null, offer);
+    }
+  }
+  
+  /**
+   * Entries for one booking, slot or doctor, oldest first
+   */
+  async getHistory(entityType, entityId) {
+    const result = await pool.query(
+      `SELECT
+        a.id,
+        a.entity_type,
+        a.entity_id,
+        a.action,
+        a.actor_user_id,
+        a.actor_role,
+        u.email as actor_email,
+        a.request_id,
+        a.ip_address,
+        a.before_state as before,
+        a.after_state as after,
+        a.created_at
+       FROM audit_log a
+       LEFT JOIN users u ON a.actor_user_id = u.id
+       WHERE a.entity_type = $1 AND a.entity_id = $2
+       ORDER BY a.id`,
+      [entityType, entityId]
+    );
+    
+    return result.rows;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,288 @@
+const pool = require('../config/database');
+const locationService = require('./locationService');
+const blackoutService = require('./blackoutService');
+const { toMinutes, fromMinutes, formatDate, addDays, dayOfWeek } = require('../utils/time');
+const { CLINIC_TIMEZONE, zonedTimeToUtc, todayIn } = require('../utils/timezone');
+const { withTransaction } = require('../utils/transaction');
+
+const DEFAULT_HORIZON_WEEKS = parseInt(process.env.SLOT_GENERATION_WEEKS) || 8;
+const NO_BLACKOUTS = { timeOff: [], holidays: [] };
+
+class AvailabilityService {
+  /**
+   * Expand a template into the (date, time) pairs it covers within the horizon.
+   * Only slots that fit entirely before end_time, inside the location's opening
+   * `hours`, clear of `blackouts` (time off and holidays) and in the future are returned.
+   * Times are wall-clock times in `timezone`: those skipped when clocks go forward
+   * are left out, and those repeated when clocks go back are generated once.
+   */
+  buildSlotTimes(template, horizonWeeks = DEFAULT_HORIZON_WEEKS, timezone = CLINIC_TIMEZONE, hours = [], blackouts = NO_BLACKOUTS) {
+    const slots = [];
+    const now = new Date();
+    const today = todayIn(timezone);
+    const startMinutes = toMinutes(template.start_time);
+    const endMinutes = toMinutes(template.end_time);
+    const duration = template.duration_minutes;
+    
+    const effectiveFrom = formatDate(template.effective_from);
+    const horizonEnd = addDays(today, horizonWeeks * 7);
+    let lastDate = horizonEnd;
+    if (template.effective_until) {
+      const effectiveUntil = formatDate(template.effective_until);
+      if (effectiveUntil < lastDate) {
+        lastDate = effectiveUntil;
+      }
+    }
+    
+    let date = effectiveFrom > today ? effectiveFrom : today;
+    while (date <= lastDate) {
+      if (template.days_of_week.includes(dayOfWeek(date))) {
+        for (let minutes = startMinutes; minutes + duration <= endMinutes; minutes += duration) {
+          const time = fromMinutes(minutes);
+          if (!locationService.isWithinOpeningHours(hours, date, time, duration)) {
+            continue;
+          }
+          const startsAt = zonedTimeToUtc(date, time, timezone);
+          if (startsAt && startsAt > now && !blackoutService.isBlocked(blackouts, date, startsAt, duration)) {
+            slots.push({ slot_date: date, slot_time: time });
+          }
+        }
+      }
+      date = addDays(date, 1);
+    }
+    
+    return slots;
+  }
+  
+  /**
+   * Insert the template's slots, skipping any that already exist or would
+   * overlap another of the doctor's slots.
+   * Idempotent thanks to UNIQUE(doctor_id, slot_date, slot_time).
+   */
+  async generateSlots(client, template, horizonWeeks = DEFAULT_HORIZON_WEEKS) {
+    if (!template.is_active) {
+      return [];
+    }
+    
+    const { timezone, hours, blackouts } = await locationService.getSlotContext(client, template.doctor_id, template.location_id);
+    const slots = this.buildSlotTimes(template, horizonWeeks, timezone, hours, blackouts);
+    if (slots.length === 0) {
+      return [];
+    }
+    
+    const params = [
+      template.doctor_id,
+      template.duration_minutes,
+      template.id,
+      timezone,
+      template.location_id,
+      template.capacity,
+      slots.map(slot => slot.slot_date),
+      slots.map(slot => slot.slot_time)
+    ];
+    
+    // Slots soft deleted earlier in this transaction (a template update, see
+    // removeFutureUnbookedSlots) come back with their booking history when the
+    // template still generates them; slots deleted by hand stay deleted
+    const restored = await client.query(
+      `UPDATE appointment_slots s
+       SET deleted_at = NULL, location_id = $5, capacity = $6
+       FROM unnest($7::date[], $8::time[]) AS u(slot_date, slot_time)
+       WHERE s.doctor_id = $1 AND s.duration_minutes = $2 AND s.template_id = $3 AND s.timezone = $4
+       AND s.slot_date = u.slot_date AND s.slot_time = u.slot_time
+       AND s.deleted_at = CURRENT_TIMESTAMP
+       RETURNING s.*`,
+      params
+    );
+    
+    const result = await client.query(
+      `INSERT INTO appointment_slots (doctor_id, slot_date, slot_time, duration_minutes, template_id, timezone, location_id, capacity)
+       SELECT $1, u.slot_date, u.slot_time, $2, $3, $4, $5, $6
+       FROM unnest($7::date[], $8::time[]) AS u(slot_date, slot_time)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      params
+    );
+    
+    return [...restored.rows, ...result.rows];
+  }
+  
+  /**
+   * Remove future slots generated by a template that have no active bookings.
+   * Slots that were never booked are deleted; slots with cancelled or failed
+   * bookings are soft deleted, since deleting a slot cascades to its bookings.
+   */
+  async removeFutureUnbookedSlots(client, templateId) {
+    const deleted = await client.query(
+      `DELETE FROM appointment_slots s
+       WHERE s.template_id = $1
+       AND s.is_available = TRUE
+       AND s.starts_at > NOW()
+       AND NOT EXISTS (SELECT 1 FROM booking_slots bs WHERE bs.slot_id = s.id)
+       RETURNING s.id`,
+      [templateId]
+    );
+    
+    const softDeleted = await client.query(
+      `UPDATE appointment_slots s
+       SET deleted_at = CURRENT_TIMESTAMP
+       WHERE s.template_id = $1
+       AND s.is_available = TRUE
+       AND s.starts_at > NOW()
+       AND NOT EXISTS (
+         SELECT 1 FROM booking_slots bs
+         JOIN bookings b ON bs.booking_id = b.id
+         WHERE bs.slot_id = s.id AND b.status IN ('PENDING', 'CONFIRMED')
+       )
+       RETURNING s.id`,
+      [templateId]
+    );
+    
+    return deleted.rows.length + softDeleted.rows.length;
+  }
+  
+  /**
+   * Create a template and generate its slots for the rolling horizon
+   */
+  async createTemplate(data, horizonWeeks = DEFAULT_HORIZON_WEEKS) {
+    return withTransaction('createTemplate', async (client) => {
+      const result = await client.query(
+        `INSERT INTO availability_templates
+           (doctor_id, days_of_week, start_time, end_time, duration_minutes, effective_from, effective_until, location_id, capacity)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_DATE), $7, $8, $9)
+         RETURNING *`,
+        [
+          data.doctor_id,
+          data.days_of_week,
+          data.start_time,
+          data.end_time,
+          data.duration_minutes || 30,
+          data.effective_from,
+          data.effective_until,
+          data.location_id,
+          data.capacity || 1
+        ]
+      );
+      
+      const template = result.rows[0];
+      const slots = await this.generateSlots(client, template, horizonWeeks);
+      
+      return { template, generated: slots.length };
+    });
+  }
+  
+  /**
+   * Update a template and regenerate its future unbooked slots.
+   * Returns null when the template does not exist.
+   */
+  async updateTemplate(templateId, data, horizonWeeks = DEFAULT_HORIZON_WEEKS) {
+    return withTransaction('updateTemplate', async (client) => {
+      const result = await client.query(
+        `UPDATE availability_templates
+         SET days_of_week = COALESCE($1, days_of_week),
+             start_time = COALESCE($2, start_time),
+             end_time = COALESCE($3, end_time),
+             duration_minutes = COALESCE($4, duration_minutes),
+             effective_from = COALESCE($5, effective_from),
+             effective_until = CASE WHEN $6 THEN $7::date ELSE effective_until END,
+             is_active = COALESCE($8, is_active),
+             location_id = CASE WHEN $9 THEN $10::int ELSE location_id END,
+             capacity = COALESCE($11, capacity)
+         WHERE id = $12
+         RETURNING *`,
+        [
+          data.days_of_week,
+          data.start_time,
+          data.end_time,
+          data.duration_minutes,
+          data.effective_from,
+          data.effective_until !== undefined,
+          data.effective_until,
+          data.is_active,
+          data.location_id !== undefined,
+          data.location_id,
+          data.capacity,
+          templateId
+        ]
+      );
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      const template = result.rows[0];
+      const removed = await this.removeFutureUnbookedSlots(client, templateId);
+      const slots = await this.generateSlots(client, template, horizonWeeks);
+      
+      return { template, removed, generated: slots.length };
+    });
+  }
+  
+  /**
+   * Delete a template along with its future unbooked slots.
+   * Booked slots survive with template_id cleared.
+   */
+  async deleteTemplate(templateId) {
+    return withTransaction('deleteTemplate', async (client) => {
+      const removed = await this.removeFutureUnbookedSlots(client, templateId);
+      const result = await client.query(
+        'DELETE FROM availability_templates WHERE id = $1 RETURNING *',
+        [templateId]
+      );
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      return { template: result.rows[0], removed };
+    });
+  }
+  
+  /**
+   * Generate slots for a single template on demand.
+   * Returns null when the template does not exist.
+   */
+  async generateForTemplate(templateId, horizonWeeks = DEFAULT_HORIZON_WEEKS) {
+    return withTransaction('generateForTemplate', async (client) => {
+      const result = await client.query(
+        'SELECT * FROM availability_templates WHERE id = $1 FOR UPDATE',
+        [templateId]
+      );
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      const slots = await this.generateSlots(client, result.rows[0], horizonWeeks);
+      
+      return slots;
+    });
+  }
+  
+  /**
+   * Extend every active template to the rolling horizon
+   */
+  async generateAllTemplates(horizonWeeks = DEFAULT_HORIZON_WEEKS) {
+    const templates = await pool.query(
+      `SELECT t.id FROM availability_templates t
+       JOIN doctors d ON t.doctor_id = d.id
+       WHERE t.is_active = TRUE
+       AND d.deleted_at IS NULL
+       AND (t.effective_until IS NULL OR t.effective_until >= CURRENT_DATE)`
+    );
+    
+    let generated = 0;
+    for (const { id } of templates.rows) {
+      const slots = await this.generateForTemplate(id, horizonWeeks);
+      generated += slots ? slots.length : 0;
+    }
+    
+    return {
+      templates: templates.rows.length,
+      generated,
+      message: `Generated ${generated} slots from ${templates.rows.length} templates`
+    };
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,258 @@
+const pool = require('../config/database');
+const bookingService = require('./bookingService');
+const { bookingEvents, BOOKING_EVENTS } = require('../events/bookingEvents');
+const { formatDate } = require('../utils/time');
+const { bookingConflict } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+const AFFECTED_BOOKING_COLUMNS = `
+  b.id,
+  b.status,
+  b.slot_id,
+  b.patient_id,
+  b.waitlist_entry_id,
+  s.doctor_id,
+  s.slot_date,
+  s.slot_time,
+  COALESCE(b.duration_minutes, s.duration_minutes) as duration_minutes,
+  s.timezone,
+  s.starts_at,
+  s.location_id,
+  p.name as patient_name,
+  p.email as patient_email,
+  p.phone as patient_phone
+`;
+
+class BlackoutService {
+  /**
+   * Load the upcoming time off and holidays that apply to a doctor's slots
+   * at a location (null for slots without one)
+   */
+  async getBlackouts(db, doctorId, locationId = null) {
+    const timeOff = await db.query(
+      `SELECT starts_at, ends_at
+       FROM doctor_time_off
+       WHERE doctor_id = $1 AND ends_at > NOW()`,
+      [doctorId]
+    );
+    
+    const holidays = await db.query(
+      `SELECT holiday_date
+       FROM holidays
+       WHERE holiday_date >= CURRENT_DATE - 1
+       AND (location_id IS NULL OR location_id = $1)`,
+      [locationId]
+    );
+    
+    return {
+      timeOff: timeOff.rows,
+      holidays: holidays.rows.map(row => formatDate(row.holiday_date))
+    };
+  }
+  
+  /**
+   * Whether a slot on local `date` starting at the instant `startsAt` overlaps
+   * any of the given blackouts. Mirrors slotBlockedSql for slots not yet stored.
+   */
+  isBlocked(blackouts, date, startsAt, durationMinutes) {
+    if (blackouts.holidays.includes(formatDate(date))) {
+      return true;
+    }
+    
+    const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+    return blackouts.timeOff.some(period => period.starts_at < endsAt && period.ends_at > startsAt);
+  }
+  
+  async getTimeOff(doctorId) {
+    const result = await pool.query(
+      `SELECT * FROM doctor_time_off
+       WHERE doctor_id = $1
+       ORDER BY starts_at`,
+      [doctorId]
+    );
+    
+    return result.rows;
+  }
+  
+  /**
+   * Record a doctor's time off. Upcoming active bookings it overlaps are
+   * returned, and cancelled with a reason when `cancelBookings` is set.
+   */
+  async createTimeOff(doctorId, data, { cancelBookings = false, cancellationReason, audit } = {}) {
+    return this.createBlackout(async (client) => {
+      const result = await client.query(
+        `INSERT INTO doctor_time_off (doctor_id, starts_at, ends_at, reason)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [doctorId, data.starts_at, data.ends_at, data.reason]
+      );
+      const timeOff = result.rows[0];
+      
+      const affected = await client.query(
+        `SELECT ${AFFECTED_BOOKING_COLUMNS}
+         FROM bookings b
+         JOIN appointment_slots s ON b.slot_id = s.id
+         JOIN patients p ON b.patient_id = p.id
+         WHERE s.doctor_id = $1
+         AND s.starts_at > NOW()
+         AND EXISTS (
+           SELECT 1 FROM booking_slots bs
+           JOIN appointment_slots o ON bs.slot_id = o.id
+           WHERE bs.booking_id = b.id
+           AND o.starts_at < $3
+           AND o.starts_at + make_interval(mins => o.duration_minutes) > $2
+         )
+         AND b.status IN ('PENDING', 'CONFIRMED')
+         ORDER BY s.starts_at
+         FOR UPDATE OF b`,
+        [doctorId, timeOff.starts_at, timeOff.ends_at]
+      );
+      
+      return {
+        blackout: timeOff,
+        affected: affected.rows,
+        reason: cancellationReason || timeOff.reason || 'Doctor unavailable'
+      };
+    }, cancelBookings, audit);
+  }
+  
+  /**
+   * Delete a doctor's time off. Its slots become bookable again; bookings it
+   * cancelled stay cancelled. Returns null when not found.
+   */
+  async deleteTimeOff(doctorId, timeOffId) {
+    const result = await pool.query(
+      'DELETE FROM doctor_time_off WHERE id = $1 AND doctor_id = $2 RETURNING *',
+      [timeOffId, doctorId]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  async getHolidays({ from, to, location_id } = {}) {
+    let query = 'SELECT * FROM holidays WHERE 1=1';
+    const params = [];
+    let paramCount = 0;
+    
+    if (from) {
+      paramCount++;
+      query += ` AND holiday_date >= $${paramCount}`;
+      params.push(from);
+    }
+    
+    if (to) {
+      paramCount++;
+      query += ` AND holiday_date <= $${paramCount}`;
+      params.push(to);
+    }
+    
+    // A location's holidays include the clinic-wide ones
+    if (location_id) {
+      paramCount++;
+      query += ` AND (location_id IS NULL OR location_id = $${paramCount})`;
+      params.push(location_id);
+    }
+    
+    query += ' ORDER BY holiday_date, id';
+    
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+  
+  /**
+   * Close one location (or every location when location_id is null) for a day.
+   * Upcoming active bookings that day are returned, and cancelled with a reason
+   * when `cancelBookings` is set.
+   */
+  async createHoliday(data, { cancelBookings = false, cancellationReason, audit } = {}) {
+    return this.createBlackout(async (client) => {
+      const result = await client.query(
+        `INSERT INTO holidays (holiday_date, name, location_id)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [data.holiday_date, data.name, data.location_id || null]
+      );
+      const holiday = result.rows[0];
+      
+      const affected = await client.query(
+        `SELECT ${AFFECTED_BOOKING_COLUMNS}
+         FROM bookings b
+         JOIN appointment_slots s ON b.slot_id = s.id
+         JOIN patients p ON b.patient_id = p.id
+         WHERE s.starts_at > NOW()
+         AND EXISTS (
+           SELECT 1 FROM booking_slots bs
+           JOIN appointment_slots o ON bs.slot_id = o.id
+           WHERE bs.booking_id = b.id
+           AND o.slot_date = $1
+           AND ($2::int IS NULL OR o.location_id = $2)
+         )
+         AND b.status IN ('PENDING', 'CONFIRMED')
+         ORDER BY s.starts_at
+         FOR UPDATE OF b`,
+        [data.holiday_date, holiday.location_id]
+      );
+      
+      return {
+        blackout: holiday,
+        affected: affected.rows,
+        reason: cancellationReason || `Clinic closed: ${holiday.name}`
+      };
+    }, cancelBookings, audit);
+  }
+  
+  /**
+   * Returns null when not found
+   */
+  async deleteHoliday(holidayId) {
+    const result = await pool.query(
+      'DELETE FROM holidays WHERE id = $1 RETURNING *',
+      [holidayId]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  /**
+   * Run `insert` (which stores the blackout and locks the bookings it overlaps)
+   * and optionally cancel those bookings in the same transaction.
+   * SERIALIZABLE, like booking creation, so a hold placed concurrently on a
+   * slot being blocked makes one of the two transactions retry.
+   * Cancellations are audited as made by `audit`.
+   */
+  async createBlackout(insert, cancelBookings, audit) {
+    try {
+      const { blackout, affected } = await withTransaction('createBlackout', async (client) => {
+        const inserted = await insert(client);
+        
+        // Released slots are blocked, so the waitlist is not offered them
+        if (cancelBookings) {
+          for (const booking of inserted.affected) {
+            await bookingService.cancelLockedBooking(client, booking, inserted.reason, audit);
+            booking.status = 'CANCELLED';
+            booking.cancellation_reason = inserted.reason;
+          }
+        }
+        
+        return inserted;
+      }, { isolation: 'SERIALIZABLE' });
+      
+      if (cancelBookings) {
+        for (const booking of affected) {
+          bookingEvents.emit(BOOKING_EVENTS.CANCELLED, { bookingId: booking.id });
+        }
+      }
+      
+      return {
+        blackout,
+        affected_bookings: affected.map(({ waitlist_entry_id, ...booking }) => booking),
+        cancelled: cancelBookings ? affected.length : 0
+      };
+    
+    } catch (error) {
+      throw bookingConflict(error);
+    }
+  }
+}
+
+module.exports = new BlackoutService();
@@ -1,84 +1,422 @@
 const pool = require('../config/database');
+const waitlistService = require('./waitlistService');
+const outboxService = require('./outboxService');
+const auditService = require('./auditService');
+const { bookingEvents, BOOKING_EVENTS } = require('../events/bookingEvents');
+const { slotBlockedSql } = require('../utils/blackout');
+const { assertIfMatch } = require('../utils/etag');
+const { NotFoundError, ConflictError, BusinessRuleViolationError, bookingConflict } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+// How long a PENDING booking holds its slot before the expiry job releases it
+const HOLD_MINUTES = parseInt(process.env.BOOKING_TIMEOUT_MINUTES) || 2;
 
 class BookingService {
   /**
-   * Create a booking with optimistic locking and transaction isolation
-   * Prevents race conditions and overbooking
+   * Place a time-limited hold on a slot (phase one of the booking flow)
+   * Uses row locking and transaction isolation to prevent overbooking.
+   * The booking stays PENDING until confirmBooking is called before expires_at.
+   * `patient` is either { id } for an existing patient or { name, email, phone },
+   * which is matched to a patient record by email or creates one.
+   * With an appointment type longer than the slot, the run of consecutive slots
+   * starting at `slotId` is locked and held together. Each booking takes one seat
+   * in every slot it holds; group slots admit patients until they are full.
+   * `audit` is the actor recorded in the audit log (see auditService.fromRequest).
    */
-  async createBooking(slotId, patientName, patientEmail, patientPhone) {
-    const client = await pool.connect();
-    
+  async createBooking(slotId, patient, appointmentTypeId, audit) {
     try {
-      // Start transaction with SERIALIZABLE isolation level for maximum consistency
-      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+      // SERIALIZABLE for maximum consistency; conflicting bookings are retried
+      const booking = await withTransaction('createBooking', async (client) => {
+        // Lock the slot row for update (pessimistic locking)
+        const slotCheck = await client.query(
+          `SELECT id, is_available, doctor_id, location_id, slot_date, slot_time, starts_at, duration_minutes,
+                  ${slotBlockedSql('appointment_slots')} as is_blocked
+           FROM appointment_slots 
+           WHERE id = $1 
+           FOR UPDATE`,
+          [slotId]
+        );
+        
+        if (slotCheck.rows.length === 0) {
+          throw new NotFoundError('SLOT_NOT_FOUND', 'Slot not found');
+        }
+        
+        const slot = slotCheck.rows[0];
+        
+        if (!slot.is_available) {
+          throw new ConflictError('SLOT_UNAVAILABLE', 'Slot is no longer available');
+        }
+        
+        if (slot.is_blocked) {
+          throw new ConflictError('SLOT_BLOCKED', 'Slot is no longer available - the doctor is on leave or the clinic is closed');
+        }
+        
+        // Check if slot is in the past (starts_at is absolute, so the server's own zone is irrelevant)
+        if (slot.starts_at < new Date()) {
+          throw new BusinessRuleViolationError('SLOT_IN_PAST', 'Cannot book past appointments');
+        }
+        
+        const durationMinutes = appointmentTypeId
+          ? await this.getTypeDuration(client, appointmentTypeId, slot.doctor_id)
+          : null;
+        const slotIds = await this.lockSlotRun(client, slot, durationMinutes);
+        
+        const patientId = await this.resolvePatient(client, patient);
+        await this.assertNotAlreadyBooked(client, slotIds, patientId);
+        
+        // Create booking with PENDING status and a hold expiry
+        const bookingResult = await client.query(
+          `INSERT INTO bookings (slot_id, patient_id, status, expires_at, appointment_type_id, duration_minutes)
+           VALUES ($1, $2, 'PENDING', NOW() + make_interval(mins => $3), $4, $5)
+           RETURNING *`,
+          [slotId, patientId, HOLD_MINUTES, appointmentTypeId, durationMinutes]
+        );
+        
+        const created = bookingResult.rows[0];
+        
+        // Take a seat in each slot while the hold is active
+        await this.assignSlots(client, created.id, slotIds);
+        
+        await auditService.recordBooking(client, audit, 'created', created.id);
+        await outboxService.recordBookingEvent(client, BOOKING_EVENTS.CREATED, created.id);
+        
+        return created;
+      }, { isolation: 'SERIALIZABLE' });
       
-      // Lock the slot row for update (pessimistic locking)
-      const slotCheck = await client.query(
-        `SELECT id, is_available, doctor_id, slot_date, slot_time 
-         FROM appointment_slots 
-         WHERE id = $1 
-         FOR UPDATE`,
-        [slotId]
+      bookingEvents.emit(BOOKING_EVENTS.CREATED, { bookingId: booking.id });
+      
+      // Fetch complete booking details
+      return this.getBookingById(booking.id);
+      
+    } catch (error) {
+      throw bookingConflict(error);
+    }
+  }
+  
+  /**
+   * Length of an active appointment type offered by the slot's doctor
+   */
+  async getTypeDuration(client, appointmentTypeId, doctorId) {
+    const result = await client.query(
+      `SELECT duration_minutes FROM appointment_types
+       WHERE id = $1 AND doctor_id = $2 AND is_active = TRUE`,
+      [appointmentTypeId, doctorId]
+    );
+    
+    if (result.rows.length === 0) {
+      throw new NotFoundError('APPOINTMENT_TYPE_NOT_FOUND', 'Appointment type not found for this doctor');
+    }
+    
+    return result.rows[0].duration_minutes;
+  }
+  
+  /**
+   * Lock the consecutive slots needed for `durationMinutes`, starting with
+   * `startSlot` (already locked and checked by the caller). The run must be
+   * gap-free, for the same doctor and location, with a free seat and not
+   * blocked; slots in `ownSlotIds` already seat the booking being moved.
+   * Rows are locked in start-time order so overlapping runs cannot deadlock.
+   * Returns the slot IDs; without a duration only the start slot is taken.
+   */
+  async lockSlotRun(client, startSlot, durationMinutes, ownSlotIds = []) {
+    if (!durationMinutes || durationMinutes <= startSlot.duration_minutes) {
+      return [startSlot.id];
+    }
+    
+    const result = await client.query(
+      `SELECT id, is_available, starts_at, duration_minutes,
+              ${slotBlockedSql('appointment_slots')} as is_blocked
+       FROM appointment_slots
+       WHERE doctor_id = $1
+       AND location_id IS NOT DISTINCT FROM $2
+       AND starts_at > $3
+       AND starts_at < $3 + make_interval(mins => $4)
+       ORDER BY starts_at, id
+       FOR UPDATE`,
+      [startSlot.doctor_id, startSlot.location_id, startSlot.starts_at, durationMinutes]
+    );
+    
+    const endsAt = startSlot.starts_at.getTime() + durationMinutes * 60000;
+    let coveredUntil = startSlot.starts_at.getTime() + startSlot.duration_minutes * 60000;
+    const slotIds = [startSlot.id];
+    
+    for (const slot of result.rows) {
+      if (coveredUntil >= endsAt) {
+        break;
+      }
+      const isFree = slot.is_available || ownSlotIds.includes(slot.id);
+      if (slot.starts_at.getTime() !== coveredUntil || !isFree || slot.is_blocked) {
+        break;
+      }
+      slotIds.push(slot.id);
+      coveredUntil += slot.duration_minutes * 60000;
+    }
+    
+    if (coveredUntil < endsAt) {
+      throw new ConflictError('CONSECUTIVE_SLOTS_UNAVAILABLE', 'Not enough consecutive free slots for this appointment type');
+    }
+    
+    return slotIds;
+  }
+  
+  /**
+   * A patient holds at most one seat in a group slot
+   */
+  async assertNotAlreadyBooked(client, slotIds, patientId, exceptBookingId = null) {
+    const result = await client.query(
+      `SELECT 1 FROM booking_slots bs
+       JOIN bookings b ON bs.booking_id = b.id
+       WHERE bs.slot_id = ANY($1)
+       AND b.patient_id = $2
+       AND b.id IS DISTINCT FROM $3
+       AND b.status IN ('PENDING', 'CONFIRMED')
+       LIMIT 1`,
+      [slotIds, patientId, exceptBookingId]
+    );
+    
+    if (result.rows.length > 0) {
+      throw new ConflictError('DUPLICATE_BOOKING', 'Patient already has a booking in this slot');
+    }
+  }
+  
+  /**
+   * Record the slots a booking holds (replacing any it held before) and take a
+   * seat in each newly held one. The seats_check constraint backs up the
+   * availability checks done under the slot locks.
+   */
+  async assignSlots(client, bookingId, slotIds) {
+    const previous = await client.query(
+      'DELETE FROM booking_slots WHERE booking_id = $1 RETURNING slot_id',
+      [bookingId]
+    );
+    const heldSlotIds = previous.rows.map(row => row.slot_id);
+    
+    await client.query(
+      `INSERT INTO booking_slots (booking_id, slot_id)
+       SELECT $1, unnest($2::int[])`,
+      [bookingId, slotIds]
+    );
+    
+    await client.query(
+      'UPDATE appointment_slots SET booked_count = booked_count + 1 WHERE id = ANY($1)',
+      [slotIds.filter(id => !heldSlotIds.includes(id))]
+    );
+  }
+  
+  /**
+   * Resolve the patient for a booking to a patient ID inside the booking transaction
+   */
+  async resolvePatient(client, patient) {
+    if (patient.id) {
+      const result = await client.query(
+        'SELECT id FROM patients WHERE id = $1',
+        [patient.id]
       );
       
-      if (slotCheck.rows.length === 0) {
-        throw new Error('Slot not found');
+      if (result.rows.length === 0) {
+        throw new NotFoundError('PATIENT_NOT_FOUND', 'Patient not found');
       }
       
-      const slot = slotCheck.rows[0];
+      return result.rows[0].id;
+    }
+    
+    // Existing records are kept as-is; details are edited through /api/patients
+    const result = await client.query(
+      `INSERT INTO patients (name, email, phone)
+       VALUES ($1, $2, $3)
+       ON CONFLICT ((LOWER(email))) DO UPDATE SET email = patients.email
+       RETURNING id`,
+      [patient.name, patient.email, patient.phone]
+    );
+    
+    return result.rows[0].id;
+  }
+  
+  /**
+   * Confirm a held booking (phase two of the booking flow)
+   * A hold that has already expired is failed and its slot released.
+   * `ifMatch` is the request's If-Match header (undefined when absent).
+   */
+  async confirmBooking(bookingId, audit, ifMatch) {
+    const outcome = await withTransaction('confirmBooking', async (client) => {
+      const result = await client.query(
+        `SELECT *, expires_at <= NOW() as is_expired
+         FROM bookings 
+         WHERE id = $1 
+         FOR UPDATE`,
+        [bookingId]
+      );
       
-      if (!slot.is_available) {
-        throw new Error('Slot is no longer available');
+      if (result.rows.length === 0) {
+        throw new NotFoundError('BOOKING_NOT_FOUND', 'Booking not found');
       }
       
-      // Check if slot is in the past
-      const slotDateTime = new Date(`${slot.slot_date.toISOString().split('T')[0]}T${slot.slot_time}`);
-      if (slotDateTime < new Date()) {
-        throw new Error('Cannot book past appointments');
-      }
+      const { is_expired, ...before } = result.rows[0];
+      const booking = result.rows[0];
       
-      // Create booking with PENDING status
-      const bookingResult = await client.query(
-        `INSERT INTO bookings (slot_id, patient_name, patient_email, patient_phone, status)
-         VALUES ($1, $2, $3, $4, 'PENDING')
-         RETURNING *`,
-        [slotId, patientName, patientEmail, patientPhone]
-      );
+      assertIfMatch(ifMatch, booking, 'Booking');
       
-      const booking = bookingResult.rows[0];
+      if (booking.status !== 'PENDING') {
+        throw new ConflictError('BOOKING_NOT_PENDING', `Booking cannot be confirmed - status is ${booking.status}`);
+      }
       
-      // Mark slot as unavailable
-      await client.query(
-        'UPDATE appointment_slots SET is_available = FALSE WHERE id = $1',
-        [slotId]
-      );
+      if (booking.is_expired) {
+        // Fail the hold now rather than waiting for the expiry job
+        await client.query(
+          `UPDATE bookings 
+           SET status = 'FAILED', 
+               failed_at = CURRENT_TIMESTAMP,
+               failure_reason = 'Booking hold expired before confirmation'
+           WHERE id = $1`,
+          [bookingId]
+        );
+        if (booking.waitlist_entry_id) {
+          await waitlistService.requeueEntry(client, booking.waitlist_entry_id);
+        }
+        const offers = await waitlistService.releaseBookingSlots(client, booking.id);
+        await auditService.recordBooking(client, audit, 'expired', booking.id, before);
+        await auditService.recordOffers(client, audit, offers);
+        await outboxService.recordBookingEvent(client, BOOKING_EVENTS.EXPIRED, booking.id);
+        
+        return { id: booking.id, expired: true, offers };
+      }
       
-      // Immediately confirm the booking (in production, this could be async)
       await client.query(
         `UPDATE bookings 
          SET status = 'CONFIRMED', confirmed_at = CURRENT_TIMESTAMP 
          WHERE id = $1`,
-        [booking.id]
+        [bookingId]
       );
       
-      await client.query('COMMIT');
+      // Accepting a waitlist offer takes the patient off the waitlist
+      if (booking.waitlist_entry_id) {
+        await waitlistService.fulfilEntry(client, booking.waitlist_entry_id);
+      }
       
-      // Fetch complete booking details
-      const finalBooking = await this.getBookingById(booking.id);
+      await auditService.recordBooking(client, audit, 'confirmed', booking.id, before);
+      await outboxService.recordBookingEvent(client, BOOKING_EVENTS.CONFIRMED, booking.id);
       
-      return finalBooking;
+      return { id: booking.id, expired: false, offers: [] };
+    });
+    
+    if (outcome.expired) {
+      bookingEvents.emit(BOOKING_EVENTS.EXPIRED, { bookingId: outcome.id });
+      for (const offer of outcome.offers) {
+        bookingEvents.emit(BOOKING_EVENTS.WAITLIST_OFFERED, { bookingId: offer.id });
+      }
       
-    } catch (error) {
-      await client.query('ROLLBACK');
+      // The failed hold is committed; the client still learns it was too late
+      throw new ConflictError('BOOKING_HOLD_EXPIRED', 'Booking hold has expired');
+    }
+    
+    bookingEvents.emit(BOOKING_EVENTS.CONFIRMED, { bookingId: outcome.id });
+    
+    return this.getBookingById(bookingId);
+  }
+  
+  /**
+   * Move an active booking to a different slot in one transaction
+   * Both slots are locked in id order (so concurrent reschedules cannot deadlock)
+   * before the old slots are released and the new ones taken. A booking of a
+   * longer appointment type takes a new run of the same length, which may
+   * overlap the slots it already holds.
+   */
+  async rescheduleBooking(bookingId, newSlotId, audit, ifMatch) {
+    try {
+      const { id, offers } = await withTransaction('rescheduleBooking', async (client) => {
+        const bookingResult = await client.query(
+          'SELECT * FROM bookings WHERE id = $1 FOR UPDATE',
+          [bookingId]
+        );
+        
+        if (bookingResult.rows.length === 0) {
+          throw new NotFoundError('BOOKING_NOT_FOUND', 'Booking not found');
+        }
+        
+        const booking = bookingResult.rows[0];
+        
+        assertIfMatch(ifMatch, booking, 'Booking');
+        
+        if (!['PENDING', 'CONFIRMED'].includes(booking.status)) {
+          throw new BusinessRuleViolationError('BOOKING_NOT_ACTIVE', `Cannot reschedule a ${booking.status.toLowerCase()} booking`);
+        }
+        
+        if (booking.slot_id === parseInt(newSlotId)) {
+          throw new BusinessRuleViolationError('SAME_SLOT', 'Booking is already in this slot');
+        }
+        
+        // Lock both slot rows (pessimistic locking)
+        const slotsResult = await client.query(
+          `SELECT id, is_available, doctor_id, location_id, slot_date, slot_time, starts_at, duration_minutes,
+                  ${slotBlockedSql('appointment_slots')} as is_blocked
+           FROM appointment_slots 
+           WHERE id = ANY($1) 
+           ORDER BY id 
+           FOR UPDATE`,
+          [[booking.slot_id, newSlotId]]
+        );
+        
+        const newSlot = slotsResult.rows.find(slot => slot.id === parseInt(newSlotId));
+        
+        if (!newSlot) {
+          throw new NotFoundError('SLOT_NOT_FOUND', 'Slot not found');
+        }
+        
+        const ownSlots = await client.query(
+          'SELECT slot_id FROM booking_slots WHERE booking_id = $1',
+          [bookingId]
+        );
+        const ownSlotIds = ownSlots.rows.map(row => row.slot_id);
+        
+        if (!newSlot.is_available && !ownSlotIds.includes(newSlot.id)) {
+          throw new ConflictError('SLOT_UNAVAILABLE', 'Slot is no longer available');
+        }
+        
+        if (newSlot.is_blocked) {
+          throw new ConflictError('SLOT_BLOCKED', 'Slot is no longer available - the doctor is on leave or the clinic is closed');
+        }
+        
+        if (newSlot.starts_at < new Date()) {
+          throw new BusinessRuleViolationError('SLOT_IN_PAST', 'Cannot book past appointments');
+        }
+        
+        const slotIds = await this.lockSlotRun(client, newSlot, booking.duration_minutes, ownSlotIds);
+        await this.assertNotAlreadyBooked(client, slotIds, booking.patient_id, booking.id);
+        
+        await client.query(
+          `UPDATE bookings 
+           SET slot_id = $1, previous_slot_id = $2, rescheduled_at = CURRENT_TIMESTAMP 
+           WHERE id = $3`,
+          [newSlotId, booking.slot_id, bookingId]
+        );
+        
+        // Reminders sent for the old time do not cover the new one
+        await client.query(
+          'DELETE FROM booking_reminders WHERE booking_id = $1',
+          [bookingId]
+        );
+        
+        // Release the old seats not reused by the new run (offered to the waitlist
+        // if anyone is queued for them), then take the new ones
+        const released = await waitlistService.releaseBookingSlots(client, booking.id, slotIds);
+        await this.assignSlots(client, booking.id, slotIds);
+        
+        await auditService.recordBooking(client, audit, 'rescheduled', booking.id, booking);
+        await auditService.recordOffers(client, audit, released);
+        await outboxService.recordBookingEvent(client, BOOKING_EVENTS.RESCHEDULED, booking.id);
+        
+        return { id: booking.id, offers: released };
+      }, { isolation: 'SERIALIZABLE' });
       
-      // Handle serialization failures (concurrent access)
-      if (error.code === '40001') {
-        throw new Error('Booking conflict - please try again');
+      bookingEvents.emit(BOOKING_EVENTS.RESCHEDULED, { bookingId: id });
+      for (const offer of offers) {
+        bookingEvents.emit(BOOKING_EVENTS.WAITLIST_OFFERED, { bookingId: offer.id });
       }
       
-      throw error;
-    } finally {
-      client.release();
+      return this.getBookingById(bookingId);
+      
+    } catch (error) {
+      throw bookingConflict(error);
     }
   }
   
@@ -89,13 +427,20 @@ class BookingService {
     const result = await pool.query(
       `SELECT 
         b.*,
+        s.doctor_id,
         s.slot_date,
         s.slot_time,
-        s.duration_minutes,
+        COALESCE(b.duration_minutes, s.duration_minutes) as duration_minutes,
+        s.timezone,
+        s.starts_at,
+        p.name as patient_name,
+        p.email as patient_email,
+        p.phone as patient_phone,
         d.name as doctor_name,
         d.specialization
        FROM bookings b
        JOIN appointment_slots s ON b.slot_id = s.id
+       JOIN patients p ON b.patient_id = p.id
        JOIN doctors d ON s.doctor_id = d.id
        WHERE b.id = $1`,
       [bookingId]
@@ -105,94 +450,135 @@ class BookingService {
   }
   
   /**
-   * Cancel a booking and release the slot
+   * Cancel a booking and release its seats. Returns the cancelled booking's
+   * new version for its ETag.
    */
-  async cancelBooking(bookingId) {
-    const client = await pool.connect();
-    
-    try {
-      await client.query('BEGIN');
-      
+  async cancelBooking(bookingId, audit, ifMatch) {
+    const { id, version, offers } = await withTransaction('cancelBooking', async (client) => {
       const booking = await client.query(
         'SELECT * FROM bookings WHERE id = $1 FOR UPDATE',
         [bookingId]
       );
       
       if (booking.rows.length === 0) {
-        throw new Error('Booking not found');
+        throw new NotFoundError('BOOKING_NOT_FOUND', 'Booking not found');
       }
       
+      assertIfMatch(ifMatch, booking.rows[0], 'Booking');
+      
       if (booking.rows[0].status === 'CANCELLED') {
-        throw new Error('Booking already cancelled');
+        throw new ConflictError('BOOKING_ALREADY_CANCELLED', 'Booking already cancelled');
       }
       
-      // Update booking status
-      await client.query(
-        `UPDATE bookings 
-         SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $1`,
-        [bookingId]
-      );
-      
-      // Release the slot
-      await client.query(
-        'UPDATE appointment_slots SET is_available = TRUE WHERE id = $1',
-        [booking.rows[0].slot_id]
-      );
-      
-      await client.query('COMMIT');
+      // A failed hold has already released its slot, which may since be booked again
+      if (booking.rows[0].status === 'FAILED') {
+        throw new BusinessRuleViolationError('BOOKING_NOT_ACTIVE', 'Cannot cancel a failed booking');
+      }
       
-      return { success: true, message: 'Booking cancelled successfully' };
+      const released = await this.cancelLockedBooking(client, booking.rows[0], null, audit);
+      const cancelled = await client.query('SELECT version FROM bookings WHERE id = $1', [bookingId]);
       
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+      return { id: booking.rows[0].id, version: cancelled.rows[0].version, offers: released };
+    });
+    
+    bookingEvents.emit(BOOKING_EVENTS.CANCELLED, { bookingId: id });
+    for (const offer of offers) {
+      bookingEvents.emit(BOOKING_EVENTS.WAITLIST_OFFERED, { bookingId: offer.id });
     }
+    
+    return { success: true, message: 'Booking cancelled successfully', version };
   }
   
   /**
-   * Expire pending bookings older than timeout
+   * Cancel an active booking already locked by the caller's transaction.
+   * `reason` is recorded when the clinic cancels (e.g. for doctor time off).
+   * Returns the waitlist offers made for the released slots.
    */
-  async expirePendingBookings(timeoutMinutes = 2) {
-    const client = await pool.connect();
+  async cancelLockedBooking(client, booking, reason, audit) {
+    const before = await client.query('SELECT * FROM bookings WHERE id = $1', [booking.id]);
     
-    try {
-      await client.query('BEGIN');
+    await client.query(
+      `UPDATE bookings 
+       SET status = 'CANCELLED', cancellation_reason = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1`,
+      [booking.id, reason]
+    );
+    
+    // Declining a waitlist offer returns the patient to the queue
+    if (booking.waitlist_entry_id) {
+      await waitlistService.requeueEntry(client, booking.waitlist_entry_id);
+    }
+    
+    // Release the slots (offered to the waitlist if anyone is queued for them)
+    const offers = await waitlistService.releaseBookingSlots(client, booking.id);
+    
+    await auditService.recordBooking(client, audit, 'cancelled', booking.id, before.rows[0]);
+    await auditService.recordOffers(client, audit, offers);
+    await outboxService.recordBookingEvent(client, BOOKING_EVENTS.CANCELLED, booking.id);
+    
+    return offers;
+  }
+  
+  /**
+   * Expire pending bookings whose hold has lapsed
+   * Rows created before expires_at existed fall back to booking_time + timeout.
+   */
+  async expirePendingBookings(timeoutMinutes = HOLD_MINUTES, audit = auditService.system) {
+    const { expired, offers } = await withTransaction('expirePendingBookings', async (client) => {
+      // Locked first so each audit entry can record the hold as it was
+      const lapsedHolds = await client.query(
+        `SELECT * FROM bookings
+         WHERE status = 'PENDING' 
+         AND COALESCE(expires_at, booking_time + make_interval(mins => $1)) <= NOW()
+         ORDER BY id
+         FOR UPDATE`,
+        [timeoutMinutes]
+      );
       
       const expiredBookings = await client.query(
         `UPDATE bookings 
          SET status = 'FAILED', 
              failed_at = CURRENT_TIMESTAMP,
-             failure_reason = 'Booking timeout - not confirmed within ${timeoutMinutes} minutes'
-         WHERE status = 'PENDING' 
-         AND booking_time < NOW() - INTERVAL '${timeoutMinutes} minutes'
-         RETURNING slot_id`,
+             failure_reason = 'Booking hold expired - not confirmed in time'
+         WHERE id = ANY($1)
+         RETURNING id, slot_id, waitlist_entry_id`,
+        [lapsedHolds.rows.map(row => row.id)]
       );
       
-      // Release slots for expired bookings
-      if (expiredBookings.rows.length > 0) {
-        const slotIds = expiredBookings.rows.map(row => row.slot_id);
-        await client.query(
-          'UPDATE appointment_slots SET is_available = TRUE WHERE id = ANY($1)',
-          [slotIds]
-        );
+      // Lapsed waitlist offers go back in the queue before their slots move on
+      for (const row of expiredBookings.rows) {
+        if (row.waitlist_entry_id) {
+          await waitlistService.requeueEntry(client, row.waitlist_entry_id);
+        }
+        await outboxService.recordBookingEvent(client, BOOKING_EVENTS.EXPIRED, row.id);
       }
       
-      await client.query('COMMIT');
+      // Release slots for expired bookings, offering each to the next in line
+      const released = [];
+      for (const row of expiredBookings.rows) {
+        released.push(...await waitlistService.releaseBookingSlots(client, row.id));
+      }
       
-      return {
-        expired: expiredBookings.rows.length,
-        message: `Expired ${expiredBookings.rows.length} pending bookings`
-      };
+      for (const hold of lapsedHolds.rows) {
+        await auditService.recordBooking(client, audit, 'expired', hold.id, hold);
+      }
+      await auditService.recordOffers(client, audit, released);
       
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+      return { expired: expiredBookings.rows, offers: released };
+    });
+    
+    for (const row of expired) {
+      bookingEvents.emit(BOOKING_EVENTS.EXPIRED, { bookingId: row.id });
     }
+    for (const offer of offers) {
+      bookingEvents.emit(BOOKING_EVENTS.WAITLIST_OFFERED, { bookingId: offer.id });
+    }
+    
+    return {
+      expired: expired.length,
+      offered: offers.length,
+      message: `Expired ${expired.length} pending bookings (${offers.length} slots offered to the waitlist)`
+    };
   }
 }
 
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { buildEvent, buildCalendar } = require('../utils/ical');
+
+// Feeds show what is on the calendar: confirmed bookings, plus cancelled ones
+// that had been confirmed so subscribed clients drop the existing entry.
+const FEED_CONDITION = `
+  (b.status = 'CONFIRMED' OR (b.status = 'CANCELLED' AND b.confirmed_at IS NOT NULL))
+  AND s.starts_at + make_interval(mins => COALESCE(b.duration_minutes, s.duration_minutes)) > NOW()
+`;
+
+const FEED_OWNERS = {
+  doctor: { table: 'doctors', column: 's.doctor_id' },
+  patient: { table: 'patients', column: 'b.patient_id' }
+};
+
+// Doctors see who they are seeing; patients (and admins) see the doctor
+const summaryFor = (audience, booking) => audience === 'doctor'
+  ? `Appointment: ${booking.patient_name}`
+  : `Appointment with ${booking.doctor_name}`;
+
+class CalendarService {
+  /**
+   * Single-booking export for the given audience ('doctor' or 'patient')
+   */
+  bookingCalendar(booking, audience = 'patient') {
+    return buildCalendar([buildEvent(booking, { summary: summaryFor(audience, booking) })]);
+  }
+  
+  /**
+   * Issue a new feed token, invalidating any previously shared feed URL
+   */
+  async rotateToken(owner, id) {
+    const { table } = FEED_OWNERS[owner];
+    const token = crypto.randomBytes(24).toString('hex');
+    
+    const result = await pool.query(
+      `UPDATE ${table} SET calendar_token = $1 WHERE id = $2 RETURNING id`,
+      [token, id]
+    );
+    
+    return result.rows.length > 0 ? token : null;
+  }
+  
+  /**
+   * Check a feed token in constant time. Feeds without a token are disabled.
+   */
+  async verifyToken(owner, id, token) {
+    const { table } = FEED_OWNERS[owner];
+    
+    const result = await pool.query(
+      `SELECT calendar_token FROM ${table} WHERE id = $1`,
+      [id]
+    );
+    
+    const expected = result.rows[0] && result.rows[0].calendar_token;
+    if (!expected || !token) {
+      return false;
+    }
+    
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(token));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+  
+  /**
+   * Upcoming appointments for a doctor or patient as a subscribable calendar
+   */
+  async feed(owner, id) {
+    const { table, column } = FEED_OWNERS[owner];
+    
+    const ownerResult = await pool.query(`SELECT name FROM ${table} WHERE id = $1`, [id]);
+    
+    const result = await pool.query(
+      `SELECT
+        b.*,
+        s.slot_date,
+        s.slot_time,
+        COALESCE(b.duration_minutes, s.duration_minutes) as duration_minutes,
+        s.starts_at,
+        p.name as patient_name,
+        d.name as doctor_name,
+        d.specialization
+       FROM bookings b
+       JOIN appointment_slots s ON b.slot_id = s.id
+       JOIN patients p ON b.patient_id = p.id
+       JOIN doctors d ON s.doctor_id = d.id
+       WHERE ${column} = $1
+       AND ${FEED_CONDITION}
+       ORDER BY s.slot_date, s.slot_time`,
+      [id]
+    );
+    
+    const events = result.rows.map(booking => buildEvent(booking, { summary: summaryFor(owner, booking) }));
+    
+    return buildCalendar(events, { name: `Appointments - ${ownerResult.rows[0].name}` });
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,92 @@
+const pool = require('../config/database');
+const { slotBlockedSql } = require('../utils/blackout');
+const { withLocalTime } = require('../utils/timezone');
+const { doctorSpecializationsSql } = require('../utils/specializations');
+
+// Relevance added when the query names one of the doctor's specializations
+const SPECIALIZATION_WEIGHT = 1;
+
+/**
+ * Lower-cased words of a search query (letters and digits only)
+ */
+const searchTerms = (q) => q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+class DoctorSearchService {
+  /**
+   * Rank doctors against a free-text query. A doctor matches when every word
+   * prefixes a word of their name or primary specialization (full-text), when
+   * the query is trigram-similar to their name (typos), or when they hold a
+   * specialization the query names: by prefix, fuzzily, or through a synonym
+   * ("heart" for Cardiology). Deactivated doctors never match. Each doctor comes with their specializations and
+   * next bookable slot (null when they have none).
+   */
+  async search(q, limit) {
+    const terms = searchTerms(q);
+    const prefixQuery = terms.map(term => `${term}:*`).join(' & ');
+    
+    const result = await pool.query(
+      `WITH named_specializations AS (
+         SELECT sp.id
+         FROM specializations sp
+         WHERE to_tsvector('simple', sp.name) @@ to_tsquery('simple', $2)
+         OR $1 <% sp.name
+         UNION
+         SELECT specialization_id
+         FROM specialization_synonyms
+         WHERE term = ANY($3) OR term = LOWER($1)
+       ),
+       ranked AS (
+         SELECT d.id,
+                ts_rank(d.search_vector, to_tsquery('simple', $2))
+                + word_similarity($1, d.name)
+                + CASE WHEN held.holds_named THEN $4 ELSE 0 END as rank
+         FROM doctors d
+         CROSS JOIN LATERAL (
+           SELECT EXISTS (
+             SELECT 1 FROM doctor_specializations ds
+             WHERE ds.doctor_id = d.id AND ds.specialization_id IN (SELECT id FROM named_specializations)
+           ) as holds_named
+         ) held
+         WHERE d.deleted_at IS NULL
+         AND (d.search_vector @@ to_tsquery('simple', $2)
+           OR $1 <% d.name
+           OR held.holds_named)
+       )
+       SELECT d.*,
+              ${doctorSpecializationsSql('d.id')} as specializations,
+              ROUND(r.rank::numeric, 4)::float8 as rank,
+              next.slot as next_available_slot
+       FROM ranked r
+       JOIN doctors d ON d.id = r.id
+       LEFT JOIN LATERAL (
+         SELECT json_build_object(
+                  'id', s.id,
+                  'slot_date', s.slot_date,
+                  'slot_time', s.slot_time,
+                  'duration_minutes', s.duration_minutes,
+                  'timezone', s.timezone,
+                  'starts_at', s.starts_at,
+                  'location_id', s.location_id,
+                  'remaining_seats', s.capacity - s.booked_count
+                ) as slot
+         FROM appointment_slots s
+         WHERE s.doctor_id = d.id
+         AND s.is_available = TRUE
+         AND s.starts_at > NOW()
+         AND NOT ${slotBlockedSql('s')}
+         ORDER BY s.starts_at
+         LIMIT 1
+       ) next ON TRUE
+       ORDER BY r.rank DESC, d.name, d.id
+       LIMIT $5`,
+      [q, prefixQuery, terms, SPECIALIZATION_WEIGHT, limit]
+    );
+    
+    return result.rows.map(row => ({
+      ...row,
+      next_available_slot: withLocalTime(row.next_available_slot)
+    }));
+  }
+}
+
+module.exports = new DoctorSearchService();
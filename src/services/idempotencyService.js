@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// How long a stored response is replayed for
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// How long a key stays locked by a request that has not responded (e.g. the server died)
+const LOCK_SECONDS = 60;
+
+/**
+ * JSON with object keys sorted, so the same payload always hashes the same
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+class IdempotencyService {
+  /**
+   * Fingerprint of a request: a retry must repeat the method, path and body
+   */
+  hashRequest(method, path, body) {
+    return crypto.createHash('sha256')
+      .update(`${method} ${path} ${canonicalJson(body || {})}`)
+      .digest('hex');
+  }
+  
+  /**
+   * Claim a key for a new request, or report what an earlier request with it did.
+   * Returns { state: 'new' } when the caller should run the request,
+   * { state: 'mismatch' } when the key was used for a different request,
+   * { state: 'in_progress' } while the first request is still running, or
+   * { state: 'replay', statusCode, body } with its stored response.
+   * An expired key is claimed afresh.
+   */
+  async begin(userId, key, requestHash) {
+    const claimed = await pool.query(
+      `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       ON CONFLICT (user_id, idempotency_key) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash,
+           status_code = NULL,
+           response_body = NULL,
+           created_at = NOW(),
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at <= NOW()
+       RETURNING id`,
+      [userId, key, requestHash, LOCK_SECONDS]
+    );
+    
+    if (claimed.rows.length > 0) {
+      return { state: 'new' };
+    }
+    
+    const existing = await pool.query(
+      `SELECT request_hash, status_code, response_body
+       FROM idempotency_keys
+       WHERE user_id = $1 AND idempotency_key = $2`,
+      [userId, key]
+    );
+    const stored = existing.rows[0];
+    
+    // Expired and purged between the two statements - claim it again
+    if (!stored) {
+      return this.begin(userId, key, requestHash);
+    }
+    if (stored.request_hash !== requestHash) {
+      return { state: 'mismatch' };
+    }
+    if (stored.status_code === null) {
+      return { state: 'in_progress' };
+    }
+    
+    return { state: 'replay', statusCode: stored.status_code, body: stored.response_body };
+  }
+  
+  /**
+   * Store the response to replay for the key's TTL
+   */
+  async complete(userId, key, statusCode, body) {
+    await pool.query(
+      `UPDATE idempotency_keys
+       SET status_code = $3,
+           response_body = $4,
+           expires_at = NOW() + make_interval(hours => $5)
+       WHERE user_id = $1 AND idempotency_key = $2`,
+      [userId, key, statusCode, JSON.stringify(body), TTL_HOURS]
+    );
+  }
+  
+  /**
+   * Free the key without storing a response, so a retry runs the request again
+   */
+  async release(userId, key) {
+    await pool.query(
+      'DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+      [userId, key]
+    );
+  }
+  
+  async purgeExpired() {
+    const result = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+    
+    return {
+      purged: result.rowCount,
+      message: `${result.rowCount} expired idempotency keys purged`
+    };
+  }
+}
+
+module.exports = new IdempotencyService();
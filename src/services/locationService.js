@@ -0,0 +1,83 @@
+const { toMinutes, dayOfWeek, formatDate } = require('../utils/time');
+const { CLINIC_TIMEZONE } = require('../utils/timezone');
+const { BusinessRuleViolationError } = require('../utils/errors');
+const blackoutService = require('./blackoutService');
+
+class LocationService {
+  /**
+   * Resolve where and in which timezone a doctor's new slots live, and the
+   * time off and holidays they must avoid.
+   * The location's timezone wins over the doctor's, which wins over CLINIC_TIMEZONE.
+   * Throws when the doctor is deactivated or not assigned to the location.
+   */
+  async getSlotContext(db, doctorId, locationId = null) {
+    const doctor = await db.query('SELECT timezone, deleted_at FROM doctors WHERE id = $1', [doctorId]);
+    
+    if (doctor.rows[0] && doctor.rows[0].deleted_at) {
+      throw new BusinessRuleViolationError('DOCTOR_DEACTIVATED', 'Doctor is deactivated');
+    }
+    
+    const doctorTimezone = (doctor.rows[0] && doctor.rows[0].timezone) || CLINIC_TIMEZONE;
+    
+    if (!locationId) {
+      return {
+        timezone: doctorTimezone,
+        locationId: null,
+        hours: [],
+        blackouts: await blackoutService.getBlackouts(db, doctorId)
+      };
+    }
+    
+    const location = await db.query(
+      `SELECT l.id, l.timezone
+       FROM locations l
+       JOIN doctor_locations dl ON dl.location_id = l.id
+       WHERE l.id = $1 AND dl.doctor_id = $2`,
+      [locationId, doctorId]
+    );
+    
+    if (location.rows.length === 0) {
+      throw new BusinessRuleViolationError('DOCTOR_NOT_AT_LOCATION', 'Doctor is not assigned to this location');
+    }
+    
+    return {
+      timezone: location.rows[0].timezone || doctorTimezone,
+      locationId: location.rows[0].id,
+      hours: await this.getOpeningHours(db, locationId),
+      blackouts: await blackoutService.getBlackouts(db, doctorId, locationId)
+    };
+  }
+  
+  async getOpeningHours(db, locationId) {
+    const result = await db.query(
+      `SELECT day_of_week, open_time, close_time
+       FROM location_hours
+       WHERE location_id = $1
+       ORDER BY day_of_week, open_time`,
+      [locationId]
+    );
+    
+    return result.rows;
+  }
+  
+  /**
+   * Whether a slot starting at `time` on `date` fits entirely inside one opening
+   * interval. Locations without configured hours accept any slot.
+   */
+  isWithinOpeningHours(hours, date, time, durationMinutes) {
+    if (hours.length === 0) {
+      return true;
+    }
+    
+    const day = dayOfWeek(formatDate(date));
+    const start = toMinutes(time);
+    
+    return hours.some(interval =>
+      interval.day_of_week === day &&
+      toMinutes(interval.open_time) <= start &&
+      start + durationMinutes <= toMinutes(interval.close_time)
+    );
+  }
+}
+
+module.exports = new LocationService();
@@ -0,0 +1,219 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const templates = require('../notifications/templates');
+const { getTransport } = require('../notifications/transports');
+const { bookingEvents, BOOKING_EVENTS } = require('../events/bookingEvents');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+// How long a retry run owns the notifications it claimed
+const LEASE_MINUTES = parseInt(process.env.NOTIFICATION_LEASE_MINUTES) || 15;
+
+class NotificationService {
+  /**
+   * Load everything the templates need about a booking
+   */
+  async getBookingContext(bookingId, db = pool) {
+    const result = await db.query(
+      `SELECT
+        b.id,
+        b.status,
+        b.expires_at,
+        b.cancellation_reason,
+        s.slot_date,
+        s.slot_time,
+        s.timezone,
+        p.name as patient_name,
+        p.email as patient_email,
+        p.phone as patient_phone,
+        p.allow_email,
+        p.allow_sms,
+        d.name as doctor_name,
+        d.email as doctor_email
+       FROM bookings b
+       JOIN appointment_slots s ON b.slot_id = s.id
+       JOIN patients p ON b.patient_id = p.id
+       JOIN doctors d ON s.doctor_id = d.id
+       WHERE b.id = $1`,
+      [bookingId]
+    );
+    
+    return result.rows[0];
+  }
+  
+  /**
+   * Render the messages for an event, honouring the patient's contact preferences
+   */
+  buildMessages(eventType, ctx) {
+    const eventTemplates = templates[eventType];
+    if (!eventTemplates) {
+      return [];
+    }
+    
+    const messages = [];
+    
+    if (eventTemplates.patient) {
+      const { subject, text } = eventTemplates.patient(ctx);
+      if (ctx.allow_email) {
+        messages.push({ channel: 'EMAIL', recipient: ctx.patient_email, subject, body: text });
+      }
+      if (ctx.allow_sms && ctx.patient_phone) {
+        messages.push({ channel: 'SMS', recipient: ctx.patient_phone, subject: null, body: text });
+      }
+    }
+    
+    if (eventTemplates.doctor) {
+      const { subject, text } = eventTemplates.doctor(ctx);
+      messages.push({ channel: 'EMAIL', recipient: ctx.doctor_email, subject, body: text });
+    }
+    
+    return messages;
+  }
+  
+  /**
+   * Record and deliver the notifications for a booking event
+   * `data` carries event-specific template fields (e.g. lead_minutes for reminders).
+   */
+  async notify(eventType, bookingId, data = {}) {
+    const booking = await this.getBookingContext(bookingId);
+    if (!booking) {
+      return [];
+    }
+    const ctx = { ...booking, ...data };
+    
+    const notifications = [];
+    for (const message of this.buildMessages(eventType, ctx)) {
+      const result = await pool.query(
+        `INSERT INTO notifications (booking_id, event_type, channel, recipient, subject, body)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [bookingId, eventType, message.channel, message.recipient, message.subject, message.body]
+      );
+      notifications.push(await this.deliver(pool, result.rows[0]));
+    }
+    
+    return notifications;
+  }
+  
+  /**
+   * Record the notifications for a booking event in the caller's transaction
+   * without sending them. They are leased like retry claims, so the caller can
+   * deliver them once it commits; if it never does, the retry job sends them
+   * when the lease lapses.
+   */
+  async queue(client, eventType, bookingId, data = {}) {
+    const booking = await this.getBookingContext(bookingId, client);
+    if (!booking) {
+      return [];
+    }
+    const ctx = { ...booking, ...data };
+    
+    const notifications = [];
+    for (const message of this.buildMessages(eventType, ctx)) {
+      const result = await client.query(
+        `INSERT INTO notifications
+          (booking_id, event_type, channel, recipient, subject, body, next_attempt_at, locked_until)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW() + make_interval(mins => $7))
+         RETURNING *`,
+        [bookingId, eventType, message.channel, message.recipient, message.subject, message.body, LEASE_MINUTES]
+      );
+      notifications.push(result.rows[0]);
+    }
+    
+    return notifications;
+  }
+  
+  /**
+   * Attempt delivery and record the outcome.
+   * Failures are retried with exponential backoff (1, 2, 4, ... minutes) up to MAX_ATTEMPTS.
+   */
+  async deliver(db, notification) {
+    try {
+      await getTransport(notification.channel).send({
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.body
+      });
+      
+      const result = await db.query(
+        `UPDATE notifications
+         SET status = 'SENT', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL,
+             locked_until = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [notification.id]
+      );
+      return result.rows[0];
+      
+    } catch (error) {
+      const result = await db.query(
+        `UPDATE notifications
+         SET status = 'FAILED',
+             attempts = attempts + 1,
+             last_error = $2,
+             next_attempt_at = NOW() + make_interval(mins => POWER(2, attempts)::int),
+             locked_until = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [notification.id, error.message]
+      );
+      console.error(`Notification ${notification.id} failed (attempt ${result.rows[0].attempts}):`, error.message);
+      return result.rows[0];
+    }
+  }
+  
+  /**
+   * Retry failed deliveries that are due, and queued ones whose sender never
+   * delivered them. Rows are claimed with SKIP LOCKED and leased until
+   * locked_until, so several server instances can run the retry job without
+   * double-sending; the sends happen after the claim commits.
+   */
+  async retryFailedNotifications(batchSize = 50) {
+    const due = await withTransaction('claimFailedNotifications', async (client) => {
+      return client.query(
+        `UPDATE notifications
+         SET locked_until = NOW() + make_interval(mins => $3)
+         WHERE id IN (
+           SELECT id FROM notifications
+           WHERE status IN ('PENDING', 'FAILED')
+           AND attempts < $1
+           AND next_attempt_at <= NOW()
+           AND (locked_until IS NULL OR locked_until <= NOW())
+           ORDER BY next_attempt_at
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [MAX_ATTEMPTS, batchSize, LEASE_MINUTES]
+      );
+    });
+    
+    let sent = 0;
+    for (const notification of due.rows) {
+      const result = await this.deliver(pool, notification);
+      if (result.status === 'SENT') {
+        sent++;
+      }
+    }
+    
+    return {
+      retried: due.rows.length,
+      sent,
+      message: `Retried ${due.rows.length} notifications (${sent} sent)`
+    };
+  }
+  
+  /**
+   * Subscribe to booking lifecycle events
+   */
+  registerListeners() {
+    for (const eventType of Object.values(BOOKING_EVENTS)) {
+      bookingEvents.on(eventType, ({ bookingId, ...data }) => {
+        this.notify(eventType, bookingId, data).catch(error => {
+          console.error(`Error sending ${eventType} notifications for booking ${bookingId}:`, error);
+        });
+      });
+    }
+  }
+}
+
+module.exports = new NotificationService();
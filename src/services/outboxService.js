@@ -0,0 +1,36 @@
+/**
+ * Transactional outbox: booking state changes are recorded in outbox_events
+ * using the caller's client, so the event commits or rolls back with the change.
+ * The webhook dispatcher delivers them afterwards. `data` carries event-specific
+ * payload fields (e.g. lead_minutes for reminders).
+ */
+class OutboxService {
+  async recordBookingEvent(client, eventType, bookingId, data = {}) {
+    const result = await client.query(
+      `INSERT INTO outbox_events (event_type, aggregate_type, aggregate_id, payload)
+       SELECT $1, 'booking', b.id, jsonb_build_object(
+         'booking', to_jsonb(b),
+         'slot', jsonb_build_object(
+           'id', s.id,
+           'doctor_id', s.doctor_id,
+           'slot_date', s.slot_date,
+           'slot_time', s.slot_time,
+           'duration_minutes', s.duration_minutes
+         ),
+         'slot_ids', (
+           SELECT jsonb_agg(bs.slot_id ORDER BY bs.slot_id)
+           FROM booking_slots bs WHERE bs.booking_id = b.id
+         )
+       ) || $3::jsonb
+       FROM bookings b
+       JOIN appointment_slots s ON b.slot_id = s.id
+       WHERE b.id = $2
+       RETURNING id`,
+      [eventType, bookingId, JSON.stringify(data)]
+    );
+    
+    return result.rows[0];
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,88 @@
+const pool = require('../config/database');
+const outboxService = require('./outboxService');
+const notificationService = require('./notificationService');
+const { BOOKING_EVENTS } = require('../events/bookingEvents');
+const { withTransaction } = require('../utils/transaction');
+
+/**
+ * Parse lead times such as "24h,1h,30m" into minutes, largest first
+ */
+function parseLeadTimes(value) {
+  return String(value)
+    .split(',')
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^(\d+)\s*([dhm]?)$/);
+      if (!match) {
+        throw new Error(`Invalid reminder lead time: ${part}`);
+      }
+      const amount = parseInt(match[1]);
+      const unit = match[2] || 'm';
+      return unit === 'd' ? amount * 1440 : unit === 'h' ? amount * 60 : amount;
+    })
+    .sort((a, b) => b - a);
+}
+
+class ReminderService {
+  constructor() {
+    // Lead times in minutes, configurable per deployment
+    this.leadTimes = parseLeadTimes(process.env.REMINDER_LEAD_TIMES || '24h,1h');
+  }
+  
+  /**
+   * Send reminders for CONFIRMED bookings that have entered a lead-time window.
+   * A booking only gets the reminder for the smallest window it is in, so one
+   * confirmed an hour before the appointment is not sent the 24h reminder too.
+   * Each (booking, lead time) is claimed with an insert into booking_reminders,
+   * so a reminder is sent once even when several instances run this job. The
+   * claim commits together with the reminder's outbox event and its queued
+   * notifications, which are delivered after the commit; if this run dies
+   * first, the notification retry job sends them.
+   */
+  async sendDueReminders(leadTimes = this.leadTimes) {
+    const sorted = [...leadTimes].sort((a, b) => b - a);
+    let sent = 0;
+    
+    for (let i = 0; i < sorted.length; i++) {
+      const leadMinutes = sorted[i];
+      const nextLeadMinutes = sorted[i + 1] || 0;
+      
+      const claimed = await withTransaction('claimReminders', async (client) => {
+        const result = await client.query(
+          `INSERT INTO booking_reminders (booking_id, lead_minutes)
+           SELECT b.id, $1
+           FROM bookings b
+           JOIN appointment_slots s ON b.slot_id = s.id
+           WHERE b.status = 'CONFIRMED'
+           AND s.starts_at > NOW() + make_interval(mins => $2)
+           AND s.starts_at <= NOW() + make_interval(mins => $1)
+           ON CONFLICT (booking_id, lead_minutes) DO NOTHING
+           RETURNING booking_id`,
+          [leadMinutes, nextLeadMinutes]
+        );
+        
+        const notifications = [];
+        for (const { booking_id } of result.rows) {
+          await outboxService.recordBookingEvent(client, BOOKING_EVENTS.REMINDER, booking_id, { lead_minutes: leadMinutes });
+          notifications.push(...await notificationService.queue(client, BOOKING_EVENTS.REMINDER, booking_id, { lead_minutes: leadMinutes }));
+        }
+        
+        return { bookings: result.rows.length, notifications };
+      });
+      
+      for (const notification of claimed.notifications) {
+        await notificationService.deliver(pool, notification);
+      }
+      
+      sent += claimed.bookings;
+    }
+    
+    return {
+      sent,
+      message: `Sent ${sent} appointment reminders`
+    };
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,228 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { ConflictError, BusinessRuleViolationError } = require('../utils/errors');
+
+class SpecializationService {
+  /**
+   * List the taxonomy with each entry's synonyms and how many doctors hold it
+   */
+  async getSpecializations() {
+    const result = await pool.query(
+      `SELECT sp.*,
+              COALESCE((
+                SELECT array_agg(term ORDER BY term) FROM specialization_synonyms
+                WHERE specialization_id = sp.id
+              ), '{}') as synonyms,
+              (SELECT COUNT(*)::int FROM doctor_specializations WHERE specialization_id = sp.id) as doctor_count
+       FROM specializations sp
+       ORDER BY sp.name`
+    );
+    
+    return result.rows;
+  }
+  
+  /**
+   * Returns null when not found
+   */
+  async getSpecializationById(db, id) {
+    const result = await db.query(
+      `SELECT sp.*,
+              COALESCE((
+                SELECT array_agg(term ORDER BY term) FROM specialization_synonyms
+                WHERE specialization_id = sp.id
+              ), '{}') as synonyms
+       FROM specializations sp
+       WHERE sp.id = $1`,
+      [id]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  async createSpecialization(data) {
+    const id = await withTransaction('createSpecialization', async (client) => {
+      const result = await client.query(
+        `INSERT INTO specializations (code, name, description)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [data.code, data.name, data.description]
+      );
+      const id = result.rows[0].id;
+      
+      if (data.synonyms) {
+        await this.replaceSynonyms(client, id, data.synonyms);
+      }
+      
+      return id;
+    });
+    
+    return this.getSpecializationById(pool, id);
+  }
+  
+  /**
+   * Update an entry (and its synonyms when given). A new display name is copied
+   * to the doctors holding it as their primary specialization.
+   * Returns null when not found.
+   */
+  async updateSpecialization(id, data) {
+    const found = await withTransaction('updateSpecialization', async (client) => {
+      const result = await client.query(
+        `UPDATE specializations
+         SET code = COALESCE($1, code),
+             name = COALESCE($2, name),
+             description = COALESCE($3, description)
+         WHERE id = $4
+         RETURNING *`,
+        [data.code, data.name, data.description, id]
+      );
+      
+      if (result.rows.length === 0) {
+        return false;
+      }
+      
+      if (data.name) {
+        await client.query(
+          `UPDATE doctors d
+           SET specialization = $1
+           FROM doctor_specializations ds
+           WHERE ds.doctor_id = d.id AND ds.specialization_id = $2 AND ds.is_primary`,
+          [data.name, id]
+        );
+      }
+      
+      if (data.synonyms) {
+        await this.replaceSynonyms(client, id, data.synonyms);
+      }
+      
+      return true;
+    });
+    
+    if (!found) {
+      return null;
+    }
+    
+    return this.getSpecializationById(pool, id);
+  }
+  
+  /**
+   * Delete an entry no doctor holds. Returns null when not found.
+   */
+  async deleteSpecialization(id) {
+    const held = await pool.query(
+      'SELECT COUNT(*)::int as doctors FROM doctor_specializations WHERE specialization_id = $1',
+      [id]
+    );
+    
+    if (held.rows[0].doctors > 0) {
+      throw new ConflictError('SPECIALIZATION_IN_USE', `Specialization is held by ${held.rows[0].doctors} doctors - reassign them first`);
+    }
+    
+    const result = await pool.query(
+      'DELETE FROM specializations WHERE id = $1 RETURNING *',
+      [id]
+    );
+    
+    return result.rows[0] || null;
+  }
+  
+  /**
+   * Replace an entry's synonyms. A term already used by another entry is a
+   * unique violation (409).
+   */
+  async replaceSynonyms(client, specializationId, terms) {
+    await client.query(
+      'DELETE FROM specialization_synonyms WHERE specialization_id = $1',
+      [specializationId]
+    );
+    
+    await client.query(
+      `INSERT INTO specialization_synonyms (term, specialization_id)
+       SELECT DISTINCT unnest($2::text[]), $1`,
+      [specializationId, terms]
+    );
+  }
+  
+  /**
+   * Resolve a doctor's specializations from a request body, primary first:
+   * `specializations` lists codes, while the legacy free-text `specialization`
+   * may be any code, display name or synonym. Returns [] when neither is given.
+   */
+  async resolveForDoctor(client, { specializations, specialization }) {
+    if (specializations) {
+      const result = await client.query(
+        `SELECT sp.id, sp.code, sp.name
+         FROM unnest($1::text[]) WITH ORDINALITY AS c(code, position)
+         JOIN specializations sp ON sp.code = c.code
+         ORDER BY c.position`,
+        [specializations]
+      );
+      
+      const found = result.rows.map(row => row.code);
+      const unknown = specializations.filter(code => !found.includes(code));
+      if (unknown.length > 0) {
+        throw new BusinessRuleViolationError('UNKNOWN_SPECIALIZATION', `Unknown specialization codes: ${unknown.join(', ')}`);
+      }
+      
+      // Listing a code twice keeps its first position
+      return result.rows.filter((row, index) => found.indexOf(row.code) === index);
+    }
+    
+    if (specialization) {
+      const result = await client.query(
+        `SELECT id, code, name FROM specializations
+         WHERE id = match_specialization($1)`,
+        [specialization]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new BusinessRuleViolationError('UNKNOWN_SPECIALIZATION', `Unknown specialization: ${specialization}`);
+      }
+      
+      return result.rows;
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Replace a doctor's specializations with resolved `specializations` (the
+   * first is primary) and copy the primary's display name to the doctor.
+   * The set lives outside the doctors row, so a change to it bumps the
+   * doctor's version explicitly.
+   */
+  async assignToDoctor(client, doctorId, specializations) {
+    const ids = specializations.map(sp => sp.id);
+    
+    const current = await client.query(
+      `SELECT specialization_id, is_primary
+       FROM doctor_specializations
+       WHERE doctor_id = $1`,
+      [doctorId]
+    );
+    const currentPrimary = current.rows.find(row => row.is_primary);
+    const currentIds = current.rows.map(row => row.specialization_id);
+    const changed = !currentPrimary
+      || currentPrimary.specialization_id !== ids[0]
+      || currentIds.length !== new Set(ids).size
+      || ids.some(id => !currentIds.includes(id));
+    
+    await client.query('DELETE FROM doctor_specializations WHERE doctor_id = $1', [doctorId]);
+    
+    await client.query(
+      `INSERT INTO doctor_specializations (doctor_id, specialization_id, is_primary)
+       SELECT $1, id, position = 1
+       FROM unnest($2::int[]) WITH ORDINALITY AS s(id, position)`,
+      [doctorId, ids]
+    );
+    
+    await client.query(
+      `UPDATE doctors
+       SET specialization = $1,
+           version = CASE WHEN $3 THEN version + 1 ELSE version END
+       WHERE id = $2`,
+      [specializations[0].name, doctorId, changed]
+    );
+  }
+}
+
+module.exports = new SpecializationService();
@@ -0,0 +1,236 @@
+const pool = require('../config/database');
+const outboxService = require('./outboxService');
+const auditService = require('./auditService');
+const { bookingEvents, BOOKING_EVENTS } = require('../events/bookingEvents');
+const { slotBlockedSql } = require('../utils/blackout');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+// How long a waitlisted patient has to confirm an offered slot
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+class WaitlistService {
+  /**
+   * Release a booking's seat in a slot, handing it straight to the first matching
+   * waitlist entry. Must run inside the caller's transaction after the slot row
+   * has been locked, so the seat is never visibly free between release and offer.
+   * Returns the offer booking, or null when the seat simply became available.
+   */
+  async releaseSlot(client, slotId) {
+    await client.query(
+      'UPDATE appointment_slots SET booked_count = booked_count - 1 WHERE id = $1',
+      [slotId]
+    );
+    
+    return this.offerSlot(client, slotId);
+  }
+  
+  /**
+   * Release every slot a booking holds, except those in `keepSlotIds`.
+   * Each is offered to the waitlist on its own; returns the offers made.
+   */
+  async releaseBookingSlots(client, bookingId, keepSlotIds = []) {
+    const result = await client.query(
+      'SELECT slot_id FROM booking_slots WHERE booking_id = $1 ORDER BY slot_id',
+      [bookingId]
+    );
+    
+    const offers = [];
+    for (const { slot_id } of result.rows) {
+      if (keepSlotIds.includes(slot_id)) {
+        continue;
+      }
+      const offer = await this.releaseSlot(client, slot_id);
+      if (offer) {
+        offers.push(offer);
+      }
+    }
+    
+    return offers;
+  }
+  
+  /**
+   * Offer a free seat in a slot to the longest-waiting matching entry as a PENDING
+   * hold. Slots blocked by doctor time off or a holiday are not offered, and
+   * patients already seated in the slot are passed over.
+   */
+  async offerSlot(client, slotId) {
+    const slotResult = await client.query(
+      `SELECT id, doctor_id, slot_date, slot_time, is_available
+       FROM appointment_slots
+       WHERE id = $1
+       AND starts_at > NOW()
+       AND NOT ${slotBlockedSql('appointment_slots')}
+       FOR UPDATE`,
+      [slotId]
+    );
+    
+    const slot = slotResult.rows[0];
+    if (!slot || !slot.is_available) {
+      return null;
+    }
+    
+    // Queue order is first-come-first-served. SKIP LOCKED lets concurrent releases
+    // pick different entries instead of queueing behind each other. Entries that
+    // already let an offer for this slot lapse are passed over.
+    const entryResult = await client.query(
+      `SELECT w.*
+       FROM waitlist_entries w
+       WHERE w.status = 'WAITING'
+       AND w.doctor_id = $1
+       AND $2::date BETWEEN w.date_from AND w.date_to
+       AND (w.preferred_start_time IS NULL OR $3::time >= w.preferred_start_time)
+       AND (w.preferred_end_time IS NULL OR $3::time < w.preferred_end_time)
+       AND NOT EXISTS (
+         SELECT 1 FROM bookings b
+         WHERE b.waitlist_entry_id = w.id AND b.slot_id = $4
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM booking_slots bs
+         JOIN bookings b ON bs.booking_id = b.id
+         WHERE bs.slot_id = $4 AND b.patient_id = w.patient_id
+         AND b.status IN ('PENDING', 'CONFIRMED')
+       )
+       ORDER BY w.created_at, w.id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [slot.doctor_id, slot.slot_date, slot.slot_time, slotId]
+    );
+    
+    if (entryResult.rows.length === 0) {
+      return null;
+    }
+    
+    const entry = entryResult.rows[0];
+    
+    const offer = await client.query(
+      `INSERT INTO bookings (slot_id, patient_id, status, expires_at, waitlist_entry_id)
+       VALUES ($1, $2, 'PENDING', NOW() + make_interval(mins => $3), $4)
+       RETURNING *`,
+      [slotId, entry.patient_id, OFFER_MINUTES, entry.id]
+    );
+    
+    await client.query(
+      'INSERT INTO booking_slots (booking_id, slot_id) VALUES ($1, $2)',
+      [offer.rows[0].id, slotId]
+    );
+    
+    await client.query(
+      'UPDATE appointment_slots SET booked_count = booked_count + 1 WHERE id = $1',
+      [slotId]
+    );
+    
+    await client.query(
+      `UPDATE waitlist_entries SET status = 'OFFERED' WHERE id = $1`,
+      [entry.id]
+    );
+    
+    await outboxService.recordBookingEvent(client, BOOKING_EVENTS.WAITLIST_OFFERED, offer.rows[0].id);
+    
+    return offer.rows[0];
+  }
+  
+  /**
+   * Put an entry back in the queue after its offer lapsed or was declined
+   */
+  async requeueEntry(client, entryId) {
+    await client.query(
+      `UPDATE waitlist_entries SET status = 'WAITING' WHERE id = $1 AND status = 'OFFERED'`,
+      [entryId]
+    );
+  }
+  
+  /**
+   * Mark an entry fulfilled once its offer is confirmed
+   */
+  async fulfilEntry(client, entryId) {
+    await client.query(
+      `UPDATE waitlist_entries SET status = 'BOOKED' WHERE id = $1`,
+      [entryId]
+    );
+  }
+  
+  async createEntry(data) {
+    const result = await pool.query(
+      `INSERT INTO waitlist_entries
+         (patient_id, doctor_id, date_from, date_to, preferred_start_time, preferred_end_time)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        data.patient_id,
+        data.doctor_id,
+        data.date_from,
+        data.date_to,
+        data.preferred_start_time,
+        data.preferred_end_time
+      ]
+    );
+    
+    return result.rows[0];
+  }
+  
+  /**
+   * Leave the waitlist. An outstanding offer is cancelled and its slot moves on
+   * to the next person in the queue; both are audited as made by `audit`.
+   */
+  async cancelEntry(entryId, audit) {
+    const { cancelled, offers } = await withTransaction('cancelEntry', async (client) => {
+      const result = await client.query(
+        'SELECT * FROM waitlist_entries WHERE id = $1 FOR UPDATE',
+        [entryId]
+      );
+      
+      if (result.rows.length === 0) {
+        throw new NotFoundError('WAITLIST_ENTRY_NOT_FOUND', 'Waitlist entry not found');
+      }
+      
+      const entry = result.rows[0];
+      const cancelledIds = [];
+      const released = [];
+      
+      if (!['WAITING', 'OFFERED'].includes(entry.status)) {
+        throw new ConflictError('WAITLIST_ENTRY_CLOSED', `Waitlist entry is already ${entry.status.toLowerCase()}`);
+      }
+      
+      await client.query(
+        `UPDATE waitlist_entries SET status = 'CANCELLED' WHERE id = $1`,
+        [entryId]
+      );
+      
+      if (entry.status === 'OFFERED') {
+        const offer = await client.query(
+          `SELECT * FROM bookings
+           WHERE waitlist_entry_id = $1 AND status = 'PENDING'
+           FOR UPDATE`,
+          [entryId]
+        );
+        
+        for (const before of offer.rows) {
+          await client.query(
+            `UPDATE bookings SET status = 'CANCELLED' WHERE id = $1`,
+            [before.id]
+          );
+          cancelledIds.push(before.id);
+          await outboxService.recordBookingEvent(client, BOOKING_EVENTS.CANCELLED, before.id);
+          const nextOffers = await this.releaseBookingSlots(client, before.id);
+          await auditService.recordBooking(client, audit, 'cancelled', before.id, before);
+          await auditService.recordOffers(client, audit, nextOffers);
+          released.push(...nextOffers);
+        }
+      }
+      
+      return { cancelled: cancelledIds, offers: released };
+    });
+    
+    for (const bookingId of cancelled) {
+      bookingEvents.emit(BOOKING_EVENTS.CANCELLED, { bookingId });
+    }
+    for (const nextOffer of offers) {
+      bookingEvents.emit(BOOKING_EVENTS.WAITLIST_OFFERED, { bookingId: nextOffer.id });
+    }
+    
+    return { success: true, message: 'Waitlist entry cancelled successfully' };
+  }
+}
+
+module.exports = new WaitlistService();
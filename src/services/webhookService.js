@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { signPayload } = require('../utils/webhookSignature');
+const { withTransaction } = require('../utils/transaction');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// How long a dispatcher run owns the deliveries it claimed
+const LEASE_MINUTES = parseInt(process.env.WEBHOOK_LEASE_MINUTES) || 15;
+
+class WebhookService {
+  async createSubscription(data) {
+    const result = await pool.query(
+      `INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [
+        data.url,
+        data.secret || crypto.randomBytes(32).toString('hex'),
+        data.event_types || [],
+        data.description
+      ]
+    );
+    
+    return result.rows[0];
+  }
+  
+  /**
+   * Copy undispatched outbox events into one delivery per matching active
+   * subscription. An empty event_types list subscribes to every event.
+   */
+  async fanOutEvents(batchSize = 100) {
+    return withTransaction('fanOutEvents', async (client) => {
+      const events = await client.query(
+        `SELECT id, event_type FROM outbox_events
+         WHERE dispatched_at IS NULL
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [batchSize]
+      );
+      
+      if (events.rows.length === 0) {
+        return 0;
+      }
+      
+      const eventIds = events.rows.map(event => event.id);
+      
+      await client.query(
+        `INSERT INTO webhook_deliveries (event_id, subscription_id)
+         SELECT e.id, ws.id
+         FROM outbox_events e
+         JOIN webhook_subscriptions ws
+           ON ws.is_active = TRUE
+          AND (cardinality(ws.event_types) = 0 OR e.event_type = ANY(ws.event_types))
+         WHERE e.id = ANY($1)
+         ON CONFLICT (event_id, subscription_id) DO NOTHING`,
+        [eventIds]
+      );
+      
+      await client.query(
+        'UPDATE outbox_events SET dispatched_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+        [eventIds]
+      );
+      
+      return eventIds.length;
+    });
+  }
+  
+  /**
+   * POST one delivery to its subscriber and record the outcome.
+   * Non-2xx responses and network errors back off exponentially
+   * (1, 2, 4, ... minutes); after MAX_ATTEMPTS the delivery is DEAD until replayed.
+   */
+  async deliver(db, delivery) {
+    const body = JSON.stringify({
+      id: delivery.event_id,
+      type: delivery.event_type,
+      created_at: delivery.event_created_at,
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    
+    let statusCode = null;
+    
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      
+      statusCode = response.status;
+      if (!response.ok) {
+        throw new Error(`Subscriber responded with status ${response.status}`);
+      }
+      
+      const result = await db.query(
+        `UPDATE webhook_deliveries
+         SET status = 'DELIVERED', attempts = attempts + 1, last_status_code = $2,
+             last_error = NULL, delivered_at = CURRENT_TIMESTAMP, locked_until = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [delivery.id, statusCode]
+      );
+      return result.rows[0];
+      
+    } catch (error) {
+      const result = await db.query(
+        `UPDATE webhook_deliveries
+         SET status = CASE WHEN attempts + 1 >= $4 THEN 'DEAD' ELSE 'FAILED' END,
+             attempts = attempts + 1,
+             last_status_code = $2,
+             last_error = $3,
+             next_attempt_at = NOW() + make_interval(mins => POWER(2, attempts)::int),
+             locked_until = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [delivery.id, statusCode, error.message, MAX_ATTEMPTS]
+      );
+      console.error(`Webhook delivery ${delivery.id} failed (attempt ${result.rows[0].attempts}):`, error.message);
+      return result.rows[0];
+    }
+  }
+  
+  /**
+   * Deliver everything that is due. Rows are claimed with SKIP LOCKED and
+   * leased until locked_until in a short transaction, so several server
+   * instances can run the dispatcher without double-sending; the HTTP calls
+   * then run outside it and each outcome is recorded on its own.
+   */
+  async deliverDue(batchSize = 50) {
+    const due = await withTransaction('claimDueDeliveries', async (client) => {
+      const result = await client.query(
+        `WITH claimed AS (
+           SELECT wd.id
+           FROM webhook_deliveries wd
+           JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+           WHERE wd.status IN ('PENDING', 'FAILED')
+           AND wd.next_attempt_at <= NOW()
+           AND (wd.locked_until IS NULL OR wd.locked_until <= NOW())
+           AND ws.is_active = TRUE
+           ORDER BY wd.event_id, wd.id
+           LIMIT $1
+           FOR UPDATE OF wd SKIP LOCKED
+         )
+         UPDATE webhook_deliveries wd
+         SET locked_until = NOW() + make_interval(mins => $2)
+         FROM claimed
+         WHERE wd.id = claimed.id
+         RETURNING wd.id`,
+        [batchSize, LEASE_MINUTES]
+      );
+      
+      return client.query(
+        `SELECT
+          wd.*,
+          e.event_type,
+          e.payload,
+          e.created_at as event_created_at,
+          ws.url,
+          ws.secret
+         FROM webhook_deliveries wd
+         JOIN outbox_events e ON wd.event_id = e.id
+         JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+         WHERE wd.id = ANY($1)
+         ORDER BY wd.event_id, wd.id`,
+        [result.rows.map(row => row.id)]
+      );
+    });
+    
+    let delivered = 0;
+    for (const delivery of due.rows) {
+      const result = await this.deliver(pool, delivery);
+      if (result.status === 'DELIVERED') {
+        delivered++;
+      }
+    }
+    
+    return { attempted: due.rows.length, delivered };
+  }
+  
+  /**
+   * Fan out new outbox events, then deliver whatever is due
+   */
+  async dispatch() {
+    const fannedOut = await this.fanOutEvents();
+    const { attempted, delivered } = await this.deliverDue();
+    
+    return {
+      events: fannedOut,
+      attempted,
+      delivered,
+      message: `Dispatched ${fannedOut} events, ${delivered}/${attempted} webhook deliveries succeeded`
+    };
+  }
+  
+  /**
+   * Queue a single delivery to be sent again on the next dispatch, whatever its status
+   */
+  async replayDelivery(deliveryId) {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'PENDING', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [deliveryId]
+    );
+    
+    return result.rows[0];
+  }
+  
+  /**
+   * Requeue a subscription's dead-lettered deliveries (e.g. after the receiver was fixed)
+   */
+  async replayDeadDeliveries(subscriptionId) {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'PENDING', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+       WHERE subscription_id = $1 AND status = 'DEAD'
+       RETURNING id`,
+      [subscriptionId]
+    );
+    
+    return result.rows.length;
+  }
+}
+
+module.exports = new WebhookService();
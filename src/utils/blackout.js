@@ -0,0 +1,20 @@
+/**
+ * SQL condition that is true when a slot row overlaps one of its doctor's
+ * time-off periods or falls on a holiday for its location (or a clinic-wide
+ * one). Evaluated at query time, so lifting a blackout makes its slots
+ * bookable again without touching them.
+ */
+function slotBlockedSql(alias) {
+  return `(EXISTS (
+    SELECT 1 FROM doctor_time_off t
+    WHERE t.doctor_id = ${alias}.doctor_id
+    AND t.starts_at < ${alias}.starts_at + make_interval(mins => ${alias}.duration_minutes)
+    AND t.ends_at > ${alias}.starts_at
+  ) OR EXISTS (
+    SELECT 1 FROM holidays h
+    WHERE h.holiday_date = ${alias}.slot_date
+    AND (h.location_id IS NULL OR h.location_id = ${alias}.location_id)
+  ))`;
+}
+
+module.exports = { slotBlockedSql };
@@ -0,0 +1,170 @@
+const { STATUS_CODES } = require('http');
+
+/**
+ * Stable machine-readable codes of the problems the API reports, with what
+ * each means. Clients should branch on `code`, never on the message text.
+ * Documented in the Swagger `Problem` schema.
+ */
+const ERROR_CODES = {
+  // 400
+  VALIDATION_ERROR: 'The request failed validation',
+  INVALID_REQUEST: 'The request could not be processed as sent (e.g. malformed JSON)',
+  INVALID_CURSOR: 'The pagination cursor does not match the sort and order, or is malformed',
+  INVALID_REFERENCE: 'The request references a record that does not exist',
+  CONSTRAINT_VIOLATION: 'The request violates a data constraint',
+  SLOT_TIME_IN_PAST: 'Slots cannot be created in the past',
+  SLOT_TIME_NONEXISTENT: 'The local time does not exist in the timezone (clocks go forward)',
+  SLOT_OUTSIDE_OPENING_HOURS: 'The slot falls outside the location\'s opening hours',
+  SLOT_DURING_BLACKOUT: 'The slot falls within the doctor\'s time off or a clinic holiday',
+  LOCATION_HAS_SLOTS: 'A location with slots cannot be deleted',
+  PATIENT_HAS_BOOKINGS: 'A patient with booking history cannot be deleted',
+  INVALID_IDEMPOTENCY_KEY: 'The Idempotency-Key header is empty or too long',
+  // 401
+  AUTHENTICATION_REQUIRED: 'No Bearer token was sent',
+  INVALID_TOKEN: 'The token is malformed or its signature does not verify',
+  TOKEN_EXPIRED: 'The token has expired - log in again',
+  INVALID_CREDENTIALS: 'The email or password is wrong',
+  // 403
+  FORBIDDEN: 'The user\'s role, or the doctor or patient they are linked to, does not allow the request',
+  // 404
+  BOOKING_NOT_FOUND: 'The booking does not exist',
+  DOCTOR_NOT_FOUND: 'The doctor does not exist',
+  LOCATION_NOT_FOUND: 'The location does not exist',
+  LOCATION_ASSIGNMENT_NOT_FOUND: 'The doctor is not assigned to the location',
+  SPECIALIZATION_NOT_FOUND: 'The specialization does not exist',
+  TEMPLATE_NOT_FOUND: 'The availability template does not exist',
+  TIME_OFF_NOT_FOUND: 'The time off entry does not exist',
+  HOLIDAY_NOT_FOUND: 'The holiday does not exist',
+  USER_NOT_FOUND: 'The user does not exist',
+  CALENDAR_FEED_NOT_FOUND: 'The calendar feed does not exist or its token is wrong',
+  WEBHOOK_SUBSCRIPTION_NOT_FOUND: 'The webhook subscription does not exist',
+  WEBHOOK_DELIVERY_NOT_FOUND: 'The webhook delivery does not exist',
+  ROUTE_NOT_FOUND: 'No API route matches the method and path',
+  SLOT_NOT_FOUND: 'The slot does not exist',
+  PATIENT_NOT_FOUND: 'The patient does not exist',
+  APPOINTMENT_TYPE_NOT_FOUND: 'The doctor offers no such appointment type',
+  WAITLIST_ENTRY_NOT_FOUND: 'The waitlist entry does not exist',
+  // 409
+  SLOT_UNAVAILABLE: 'The slot has no free seat, or is deleted or its doctor deactivated',
+  SLOT_BLOCKED: 'The doctor is on leave or the clinic is closed at that time',
+  CONSECUTIVE_SLOTS_UNAVAILABLE: 'Not enough consecutive free slots follow the slot for the appointment type',
+  DUPLICATE_BOOKING: 'The patient already holds a seat in the slot',
+  BOOKING_NOT_PENDING: 'Only a PENDING booking can be confirmed',
+  BOOKING_ALREADY_CANCELLED: 'The booking is already cancelled',
+  BOOKING_CONFLICT: 'Concurrent changes to the same slots kept winning through every server-side retry - retry the request',
+  TRANSACTION_CONFLICT: 'Concurrent transactions kept conflicting through every server-side retry - retry the request',
+  WAITLIST_ENTRY_CLOSED: 'The waitlist entry is no longer waiting',
+  SPECIALIZATION_IN_USE: 'Doctors still hold the specialization',
+  DUPLICATE_ENTRY: 'A record with the same unique values already exists',
+  CONFLICTING_ENTRY: 'The record overlaps an existing one',
+  SLOT_OVERLAP: 'The slot would overlap existing slots of the doctor (listed in `conflicting_slot_ids`)',
+  BOOKING_HOLD_EXPIRED: 'The hold lapsed before it was confirmed; the booking is now FAILED',
+  IDEMPOTENCY_KEY_IN_USE: 'A request with the Idempotency-Key is still running',
+  PURGE_BLOCKED_BY_BOOKINGS: 'The doctor or slot still has PENDING or CONFIRMED bookings - cancel them before purging',
+  DOCTOR_ALREADY_DEACTIVATED: 'The doctor is already deactivated',
+  DOCTOR_NOT_DEACTIVATED: 'Only a deactivated doctor can be restored',
+  SLOT_ALREADY_DELETED: 'The slot is already deleted',
+  SLOT_NOT_DELETED: 'Only a deleted slot can be restored',
+  SLOT_HAS_ACTIVE_BOOKINGS: 'A slot with PENDING or CONFIRMED bookings cannot be deleted',
+  // 412
+  PRECONDITION_FAILED: 'If-Match does not match the current ETag - fetch the resource again',
+  // 422
+  IDEMPOTENCY_KEY_REUSED: 'The Idempotency-Key was already used with a different request',
+  SLOT_IN_PAST: 'Appointments cannot be booked in the past',
+  BOOKING_NOT_ACTIVE: 'The booking is cancelled or failed',
+  SAME_SLOT: 'The booking already starts in that slot',
+  UNKNOWN_SPECIALIZATION: 'No specialization has that code, name or synonym',
+  DOCTOR_DEACTIVATED: 'The doctor is deactivated',
+  DOCTOR_NOT_AT_LOCATION: 'The doctor is not assigned to the location',
+  // 500
+  INTERNAL_ERROR: 'An unexpected server error'
+};
+
+/**
+ * An expected failure of a domain operation. Subclasses fix the HTTP status;
+ * errorHandler renders them as RFC 7807 problem details, with `extensions`
+ * (e.g. validation `details`) as extra members.
+ */
+class DomainError extends Error {
+  constructor(statusCode, code, message, extensions = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.title = STATUS_CODES[statusCode];
+    this.extensions = extensions;
+  }
+}
+
+class InvalidRequestError extends DomainError {
+  constructor(code, message, extensions) {
+    super(400, code, message, extensions);
+  }
+}
+
+class UnauthorizedError extends DomainError {
+  constructor(code, message, extensions) {
+    super(401, code, message, extensions);
+  }
+}
+
+class ForbiddenError extends DomainError {
+  constructor(code, message, extensions) {
+    super(403, code, message, extensions);
+  }
+}
+
+class NotFoundError extends DomainError {
+  constructor(code, message, extensions) {
+    super(404, code, message, extensions);
+  }
+}
+
+class ConflictError extends DomainError {
+  constructor(code, message, extensions) {
+    super(409, code, message, extensions);
+  }
+}
+
+class PreconditionFailedError extends DomainError {
+  constructor(code, message, extensions) {
+    super(412, code, message, extensions);
+  }
+}
+
+class BusinessRuleViolationError extends DomainError {
+  constructor(code, message, extensions) {
+    super(422, code, message, extensions);
+  }
+}
+
+// SQLSTATEs that roll back a transaction which may succeed when run again
+const RETRYABLE_CODES = [
+  '40001', // serialization failure
+  '40P01' // deadlock detected
+];
+
+/**
+ * A booking transaction that still conflicted after every retry is reported as
+ * BOOKING_CONFLICT; other errors pass through
+ */
+const bookingConflict = (error) => {
+  if (RETRYABLE_CODES.includes(error.code)) {
+    return new ConflictError('BOOKING_CONFLICT', 'Booking conflict - please try again');
+  }
+  return error;
+};
+
+module.exports = {
+  ERROR_CODES,
+  DomainError,
+  InvalidRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  BusinessRuleViolationError,
+  RETRYABLE_CODES,
+  bookingConflict
+};
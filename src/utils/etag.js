@@ -0,0 +1,31 @@
+const { PreconditionFailedError } = require('./errors');
+
+/**
+ * Strong entity tag for a row's version (every update bumps the version)
+ */
+const etagFor = (version) => `"${version}"`;
+
+/**
+ * Whether an If-Match header lets a request change a row at `version`.
+ * A missing header or `*` always matches; otherwise one of the listed tags
+ * must equal the current ETag (weak tags never match).
+ */
+function ifMatches(ifMatch, version) {
+  if (ifMatch === undefined) {
+    return true;
+  }
+  
+  const tags = ifMatch.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(etagFor(version));
+}
+
+/**
+ * Throw when a row has been modified since the client read the ETag it sent
+ */
+function assertIfMatch(ifMatch, row, entityName) {
+  if (!ifMatches(ifMatch, row.version)) {
+    throw new PreconditionFailedError('PRECONDITION_FAILED', `${entityName} has been modified since it was read - If-Match does not match its current ETag ${etagFor(row.version)}`);
+  }
+}
+
+module.exports = { etagFor, ifMatches, assertIfMatch };
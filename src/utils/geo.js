@@ -0,0 +1,16 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * SQL expression for the great-circle (haversine) distance in km between a
+ * row's latitude/longitude columns and a reference point given as query
+ * parameters. Computed in the database, so no geo extension is needed.
+ */
+function distanceKmSql(alias, latParam, lngParam) {
+  return `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(${alias}.latitude - ${latParam}) / 2), 2) +
+    COS(RADIANS(${latParam})) * COS(RADIANS(${alias}.latitude)) *
+    POWER(SIN(RADIANS(${alias}.longitude - ${lngParam}) / 2), 2)
+  )))`;
+}
+
+module.exports = { distanceKmSql };
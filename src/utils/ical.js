@@ -0,0 +1,113 @@
+/**
+ * Minimal RFC 5545 (iCalendar) writer for booking exports and feeds.
+ * Events are written in UTC from the slot's starts_at instant, so calendar
+ * clients show them at the right local time without VTIMEZONE definitions.
+ */
+
+const PRODID = '-//Doctor Appointment Booking//Appointments//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'doctor-appointments';
+
+const STATUS_MAP = {
+  PENDING: 'TENTATIVE',
+  CONFIRMED: 'CONFIRMED',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'CANCELLED'
+};
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets, never splitting a UTF-8 character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a VEVENT for a booking row joined with its slot, patient and doctor.
+ * The UID depends only on the booking id, so reschedules and cancellations
+ * update the existing calendar entry instead of adding a new one.
+ */
+function buildEvent(booking, { summary } = {}) {
+  const startsAt = new Date(booking.starts_at);
+  const lastModified = booking.updated_at || booking.created_at || new Date();
+  // Seconds since creation only ever grow, which is all SEQUENCE needs
+  const sequence = booking.created_at
+    ? Math.max(0, Math.floor((new Date(lastModified) - new Date(booking.created_at)) / 1000))
+    : 0;
+  
+  const description = [
+    `Doctor: ${booking.doctor_name}${booking.specialization ? ` (${booking.specialization})` : ''}`,
+    booking.patient_name ? `Patient: ${booking.patient_name}` : null,
+    `Booking #${booking.id}`
+  ].filter(Boolean).join('\n');
+  
+  return [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `LAST-MODIFIED:${formatUtc(lastModified)}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART:${formatUtc(startsAt)}`,
+    `DTEND:${formatUtc(startsAt.getTime() + booking.duration_minutes * 60000)}`,
+    `SUMMARY:${escapeText(summary || `Appointment with ${booking.doctor_name}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${STATUS_MAP[booking.status] || 'TENTATIVE'}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Wrap events in a VCALENDAR. `events` are line arrays from buildEvent.
+ */
+function buildCalendar(events, { name, method = 'PUBLISH' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    // Hint for subscribed feeds to refresh hourly
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+  }
+  
+  for (const event of events) {
+    lines.push(...event);
+  }
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildEvent, buildCalendar, escapeText };
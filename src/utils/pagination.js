@@ -0,0 +1,89 @@
+const { InvalidRequestError } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Keyset (cursor) pagination for a list query.
+ * `sortKeys` maps each sort a client may ask for to the SQL columns it orders
+ * by (with the type each cursor value is cast back to) and its default order;
+ * `idColumn` breaks ties so every row has a unique position. The cursor is the
+ * last row's position as read by the database, so timestamps keep their full
+ * precision; it is only valid for the sort and order it was issued with.
+ *
+ * Query parameters are pushed onto `params` as the clauses are built:
+ *   `${page.select}` in the select list, `${page.where(params)}` after the
+ *   filters, `${page.orderBy(params)}` last; then page.paginate(result.rows).
+ */
+function keysetPage({ sort, order, cursor, limit }, { sortKeys, defaultSort, idColumn }) {
+  const sortKey = sort || defaultSort;
+  const direction = (order || sortKeys[sortKey].order).toLowerCase();
+  const columns = [...sortKeys[sortKey].columns, { sql: idColumn, type: 'int' }];
+  const pageSize = Math.min(parseInt(limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  
+  let position = null;
+  if (cursor) {
+    position = decodeCursor(cursor);
+    if (!position || position.sort !== sortKey || position.order !== direction ||
+        !Array.isArray(position.after) || position.after.length !== columns.length) {
+      throw new InvalidRequestError('INVALID_CURSOR', 'Invalid cursor for this sort order');
+    }
+  }
+  
+  const columnList = columns.map(column => column.sql).join(', ');
+  
+  return {
+    select: `json_build_array(${columnList}) as page_cursor`,
+    
+    where(params) {
+      if (!position) {
+        return '';
+      }
+      const values = columns.map((column, index) => {
+        params.push(position.after[index]);
+        return `$${params.length}::${column.type}`;
+      });
+      return ` AND (${columnList}) ${direction === 'asc' ? '>' : '<'} (${values.join(', ')})`;
+    },
+    
+    // One row more than the page is fetched to tell whether another page follows
+    orderBy(params) {
+      params.push(pageSize + 1);
+      const orderList = columns.map(column => `${column.sql} ${direction.toUpperCase()}`).join(', ');
+      return ` ORDER BY ${orderList} LIMIT $${params.length}`;
+    },
+    
+    paginate(rows) {
+      const pageRows = rows.slice(0, pageSize);
+      const last = pageRows[pageRows.length - 1];
+      
+      return {
+        rows: pageRows.map(({ page_cursor, ...row }) => row),
+        next_cursor: rows.length > pageSize
+          ? encodeCursor({ sort: sortKey, order: direction, after: last.page_cursor })
+          : null
+      };
+    }
+  };
+}
+
+/**
+ * Total rows matching a list query's filters (the query before any cursor,
+ * order or limit is added)
+ */
+async function countRows(db, query, params) {
+  const result = await db.query(`SELECT COUNT(*) as total FROM (${query}) matching`, params);
+  return parseInt(result.rows[0].total);
+}
+
+module.exports = { keysetPage, countRows, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt and a random salt.
+ * Stored format: scrypt$<salt hex>$<hash hex>
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+module.exports = { hashPassword, verifyPassword };
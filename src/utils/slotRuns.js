@@ -0,0 +1,33 @@
+const { slotBlockedSql } = require('./blackout');
+
+/**
+ * SQL selecting the IDs of a doctor's free slots from which a run of
+ * consecutive free slots (same location, no gaps, not blocked) lasts at least
+ * the given number of minutes - i.e. where an appointment of that length fits.
+ * Runs are found gaps-and-islands style: a slot starts a new run unless it
+ * begins exactly when the previous free slot ends.
+ */
+function fittingStartSlotsSql(doctorParam, minutesParam) {
+  return `SELECT id FROM (
+    SELECT id, starts_at, MAX(ends_at) OVER (PARTITION BY location_id, run) as run_ends_at
+    FROM (
+      SELECT id, location_id, starts_at, ends_at,
+             SUM(starts_run) OVER (PARTITION BY location_id ORDER BY starts_at, id) as run
+      FROM (
+        SELECT f.id, f.location_id, f.starts_at,
+               f.starts_at + make_interval(mins => f.duration_minutes) as ends_at,
+               CASE WHEN f.starts_at = LAG(f.starts_at + make_interval(mins => f.duration_minutes))
+                      OVER (PARTITION BY f.location_id ORDER BY f.starts_at, f.id)
+                    THEN 0 ELSE 1 END as starts_run
+        FROM appointment_slots f
+        WHERE f.doctor_id = ${doctorParam}
+        AND f.is_available = TRUE
+        AND f.starts_at > NOW()
+        AND NOT ${slotBlockedSql('f')}
+      ) free
+    ) runs
+  ) fits
+  WHERE run_ends_at >= starts_at + make_interval(mins => ${minutesParam})`;
+}
+
+module.exports = { fittingStartSlotsSql };
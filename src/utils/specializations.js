@@ -0,0 +1,27 @@
+/**
+ * SQL expression for a doctor's specializations as a JSON array of
+ * { id, code, name, is_primary }, primary first (an empty array when none).
+ */
+function doctorSpecializationsSql(doctorIdColumn) {
+  return `COALESCE((
+    SELECT json_agg(json_build_object('id', sp.id, 'code', sp.code, 'name', sp.name, 'is_primary', ds.is_primary)
+                    ORDER BY ds.is_primary DESC, sp.name)
+    FROM doctor_specializations ds
+    JOIN specializations sp ON ds.specialization_id = sp.id
+    WHERE ds.doctor_id = ${doctorIdColumn}
+  ), '[]'::json)`;
+}
+
+/**
+ * SQL condition that is true when the doctor holds the specialization named by
+ * the query parameter `labelParam`: a code, display name or synonym.
+ */
+function hasSpecializationSql(doctorIdColumn, labelParam) {
+  return `EXISTS (
+    SELECT 1 FROM doctor_specializations ds
+    WHERE ds.doctor_id = ${doctorIdColumn}
+    AND ds.specialization_id = match_specialization(${labelParam})
+  )`;
+}
+
+module.exports = { doctorSpecializationsSql, hasSpecializationSql };
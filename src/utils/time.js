@@ -0,0 +1,59 @@
+/**
+ * Helpers for the naive DATE / TIME values stored in appointment_slots.
+ * Dates are 'YYYY-MM-DD' strings and times are 'HH:MM' (or 'HH:MM:SS') strings.
+ */
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function addMinutes(time, minutes) {
+  return fromMinutes(toMinutes(time) + minutes);
+}
+
+/**
+ * Format a Date (as returned by pg for DATE columns) or date string as YYYY-MM-DD
+ */
+function formatDate(date) {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Day of week for a YYYY-MM-DD string (0 = Sunday ... 6 = Saturday)
+ */
+function dayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+function today() {
+  return formatDate(new Date());
+}
+
+module.exports = {
+  toMinutes,
+  fromMinutes,
+  addMinutes,
+  formatDate,
+  addDays,
+  dayOfWeek,
+  today
+};
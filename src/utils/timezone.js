@@ -0,0 +1,119 @@
+const { formatDate } = require('./time');
+
+/**
+ * IANA timezone helpers built on Intl, for converting between a slot's local
+ * wall time (slot_date, slot_time in its timezone) and the absolute instant.
+ */
+
+const CLINIC_TIMEZONE = process.env.CLINIC_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+if (!isValidTimezone(CLINIC_TIMEZONE)) {
+  console.warn(`⚠ CLINIC_TIMEZONE "${CLINIC_TIMEZONE}" is not a valid IANA timezone`);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function localParts(instant, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+// Offset of the timezone from UTC at an instant, in milliseconds
+function offsetAt(instant, timezone) {
+  const { date, time } = localParts(instant, timezone);
+  const asUtc = Date.parse(`${date}T${time}Z`);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convert a local date and time in a timezone to the instant it denotes.
+ * Returns null for wall times skipped by a DST transition. Ambiguous wall
+ * times (repeated when clocks go back) resolve to the later instant, the
+ * same choice PostgreSQL makes for `timestamp AT TIME ZONE`.
+ */
+function zonedTimeToUtc(date, time, timezone) {
+  const [hours, minutes, seconds = 0] = String(time).split(':').map(Number);
+  const wall = Date.parse(`${formatDate(date)}T00:00:00Z`) + ((hours * 60 + minutes) * 60 + seconds) * 1000;
+  
+  // The offsets in force half a day either side cover any single transition
+  const candidates = [...new Set([
+    offsetAt(wall - 12 * 3600 * 1000, timezone),
+    offsetAt(wall + 12 * 3600 * 1000, timezone)
+  ])]
+    .map(offset => wall - offset)
+    .filter(instant => Date.parse(`${Object.values(localParts(instant, timezone)).join('T')}Z`) === wall);
+  
+  return candidates.length > 0 ? new Date(Math.max(...candidates)) : null;
+}
+
+/**
+ * ISO 8601 rendering of an instant in a timezone, e.g. 2026-03-08T09:00:00-05:00
+ */
+function toLocalIso(instant, timezone) {
+  const { date, time } = localParts(instant, timezone);
+  const offsetMinutes = Math.round(offsetAt(new Date(instant).getTime(), timezone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  return `${date}T${time}${offset}`;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone
+ */
+function todayIn(timezone) {
+  return localParts(Date.now(), timezone).date;
+}
+
+/**
+ * Add the local rendering of starts_at to a row carrying starts_at and timezone
+ */
+function withLocalTime(row) {
+  if (!row || !row.starts_at || !row.timezone) {
+    return row;
+  }
+  return { ...row, starts_at_local: toLocalIso(row.starts_at, row.timezone) };
+}
+
+module.exports = {
+  CLINIC_TIMEZONE,
+  isValidTimezone,
+  zonedTimeToUtc,
+  toLocalIso,
+  todayIn,
+  withLocalTime
+};
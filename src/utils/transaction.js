@@ -0,0 +1,78 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const pool = require('../config/database');
+const { RETRYABLE_CODES } = require('./errors');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Retries after the first attempt, and the backoff before the first retry
+const MAX_RETRIES = envInt('TRANSACTION_MAX_RETRIES', 3);
+const RETRY_BASE_MS = envInt('TRANSACTION_RETRY_BASE_MS', 20);
+
+// Transactions and retries of the current request (see middleware/transactionRetries)
+const transactionStats = new AsyncLocalStorage();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * "Full jitter" exponential backoff: a random delay of up to base * 2^retry,
+ * so clients that collided once do not collide again in lockstep
+ */
+const backoffMs = (retry) => Math.random() * RETRY_BASE_MS * 2 ** retry;
+
+/**
+ * Run `work(client)` in a transaction and return its result.
+ * A serialization failure or deadlock rolls the attempt back and runs `work`
+ * again after a jittered backoff, up to MAX_RETRIES times. `work` may therefore
+ * run more than once: it must only change the database, and anything else
+ * (events, responses) happens after withTransaction returns. Other errors roll
+ * back and are rethrown. `name` labels the transaction in logs; `maxRetries`
+ * of 0 suits work with side effects outside the database.
+ */
+async function withTransaction(name, work, { isolation, maxRetries = MAX_RETRIES } = {}) {
+  const stats = transactionStats.getStore();
+  const label = stats ? `${name} [${stats.requestId}]` : name;
+  
+  if (stats) {
+    stats.transactions++;
+  }
+  
+  for (let retry = 0; ; retry++) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query(isolation ? `BEGIN ISOLATION LEVEL ${isolation}` : 'BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      
+      if (retry > 0) {
+        console.log(`Transaction ${label} committed after ${retry} retries`);
+      }
+      return result;
+    
+    } catch (error) {
+      await client.query('ROLLBACK');
+      
+      if (!RETRYABLE_CODES.includes(error.code)) {
+        throw error;
+      }
+      if (retry >= maxRetries) {
+        console.warn(`Transaction ${label} gave up after ${retry} retries (${error.code})`);
+        throw error;
+      }
+      console.warn(`Transaction ${label} failed with ${error.code} - retry ${retry + 1} of ${maxRetries}`);
+      
+      if (stats) {
+        stats.retries++;
+      }
+    } finally {
+      client.release();
+    }
+    
+    await sleep(backoffMs(retry));
+  }
+}
+
+module.exports = { withTransaction, transactionStats, RETRYABLE_CODES, MAX_RETRIES };
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// Receivers should reject deliveries signed longer ago than this
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sign a webhook body. The timestamp is part of the signed content so a
+ * captured request cannot be replayed later with a fresh timestamp header.
+ * Header format: sha256=<hex HMAC of "<timestamp>.<body>">
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+function verifySignature(secret, timestamp, body, signature, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) {
+    return false;
+  }
+  
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { signPayload, verifySignature };